@@ -1,10 +1,14 @@
 import {
+  glMatrix,
   mat4,
   vec3,
   vec4,
   quat,
 } from "https://cdn.jsdelivr.net/npm/gl-matrix@3.4.3/esm/index.js";
 
+// CPU-side math in double precision; see "floating origin" below
+glMatrix.setMatrixArrayType(Array);
+
 const canvas = document.getElementById("glCanvas");
 const gl = canvas.getContext("webgl");
 if (!gl) throw new Error("WebGL not supported");
@@ -25,37 +29,110 @@ window.addEventListener("resize", () => {
 });
 resizeCanvasToDisplaySize();
 
+// the depth range spans a few km to well past the heliopause; logarithmic
+// depth (below) keeps it precise at every distance in between
+const DEPTH_NEAR = 1e-7; // scene units (~15 km)
+const DEPTH_FAR = 1e5;
 const projection = mat4.create();
 function updateProjection() {
   mat4.perspective(
     projection,
     Math.PI / 4,
     canvas.width / canvas.height,
-    0.1,
-    2000.0
+    DEPTH_NEAR,
+    DEPTH_FAR
   );
 }
 updateProjection();
 
+// --- floating origin ---
+// Positions stay in double precision on the CPU and the eye is subtracted
+// before anything is narrowed to float32 for the GPU, so a moon a few hundred
+// km away renders steadily however far it is from the star.
+const renderOrigin = vec3.create();
+const _relModel = mat4.create();
+const _relPoint = vec3.create();
+
+// model matrix moved so the eye sits at the origin (matrices are affine)
+function relModel(m) {
+  mat4.copy(_relModel, m);
+  _relModel[12] -= renderOrigin[0];
+  _relModel[13] -= renderOrigin[1];
+  _relModel[14] -= renderOrigin[2];
+  return _relModel;
+}
+
+function relPoint(p, out = _relPoint) {
+  return vec3.sub(out, p, renderOrigin);
+}
+
+// --- logarithmic depth ---
+// Depth is log(w / near) / log(far / near), spreading precision evenly over
+// every scale. With EXT_frag_depth it is written per pixel; without it, per
+// vertex, where long triangles right next to the camera can clip a little.
+const fragDepthSupported =
+  !!gl.getExtension('EXT_frag_depth') &&
+  gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT).precision > 0;
+const LOG_DEPTH_DEFINES = `${fragDepthSupported ? '#define LOG_DEPTH_PER_PIXEL' : ''}
+#define LOG_DEPTH_NEAR ${DEPTH_NEAR.toExponential()}
+#define LOG_DEPTH_SCALE ${(1 / Math.log2(DEPTH_FAR / DEPTH_NEAR)).toFixed(8)}`;
+// first line of every fragment shader that uses LOG_DEPTH_FS
+const LOG_DEPTH_EXTENSION = fragDepthSupported ? '#extension GL_EXT_frag_depth : enable' : '';
+const LOG_DEPTH_VS = `
+${LOG_DEPTH_DEFINES}
+varying float vClipW;
+vec4 logDepth(vec4 clip) {
+  vClipW = clip.w;
+#ifndef LOG_DEPTH_PER_PIXEL
+  clip.z = (2.0 * log2(max(clip.w / LOG_DEPTH_NEAR, 1.0)) * LOG_DEPTH_SCALE - 1.0) * clip.w;
+#endif
+  return clip;
+}
+`;
+const LOG_DEPTH_FS = `
+${LOG_DEPTH_DEFINES}
+#ifdef LOG_DEPTH_PER_PIXEL
+varying highp float vClipW;
+#endif
+void writeLogDepth() {
+#ifdef LOG_DEPTH_PER_PIXEL
+  gl_FragDepthEXT = log2(max(vClipW / LOG_DEPTH_NEAR, 1.0)) * LOG_DEPTH_SCALE;
+#endif
+}
+`;
+
 // --- UI / interaction state ---
 const tooltipEl = document.getElementById('tooltip');
 let pointerX = 0, pointerY = 0; // client (CSS) pixels
 let hoveredPlanet = null;
-let lockedPlanet = null; // when set, camera will orbit/look at this planet
+let lockedPlanet = null; // when set, camera will orbit/look at this body (sun, planet or moon)
 const cameraTarget = vec3.fromValues(0,0,0); // smoothed target
-
-canvas.addEventListener('mousemove', (e) => {
-  // keep pointer location for hover detection (CSS pixels)
+// offset of cameraTarget from the locked body; decays to zero so the camera
+// glides onto the body and then follows it exactly, however fast it moves
+const lockOffset = vec3.create();
+let lockFollow = null;
+
+// pointer type of the last press, so the click that follows a touch tap can be told apart
+let lastPointerType = 'mouse';
+
+canvas.addEventListener('pointermove', (e) => {
+  // keep pointer location for hover detection (CSS pixels); touch sets it
+  // only for taps and long presses
+  if (e.pointerType === 'touch') return;
   pointerX = e.clientX;
   pointerY = e.clientY;
 });
 
-canvas.addEventListener('click', (e) => {
-  // on click, toggle lock to the currently hovered object (planet or sun)
-  if (hoveredPlanet) {
-    if (lockedPlanet && lockedPlanet.name === hoveredPlanet.name) lockedPlanet = null;
-    else lockedPlanet = hoveredPlanet;
-  }
+// toggle lock to the currently hovered object (planet or sun)
+function toggleLock() {
+  if (!hoveredPlanet) return;
+  if (lockedPlanet === hoveredPlanet) lockedPlanet = null;
+  else lockedPlanet = hoveredPlanet;
+}
+
+canvas.addEventListener('click', () => {
+  // touch taps are picked in the render loop once the tapped point has been hovered
+  if (lastPointerType !== 'touch') toggleLock();
 });
 
 // --- shaders (world-space lighting + emissive sun) ---
@@ -67,18 +144,25 @@ varying vec2 vUV;
 uniform mat4 uModel;
 uniform mat4 uVP;
 varying vec3 vNormal;
-varying vec3 vWorldPos;
+varying vec3 vWorldPos; // relative to the eye (floating origin)
+${LOG_DEPTH_VS}
 void main() {
   vec4 worldPos = uModel * vec4(aPosition, 1.0);
   vWorldPos = worldPos.xyz;
   vNormal = mat3(uModel) * aNormal;
   vUV = aUV; // pass to fragment
-  gl_Position = uVP * worldPos;
+  gl_Position = logDepth(uVP * worldPos);
 }
 `;
 
-const fsSource = `
+const fsSource = `${LOG_DEPTH_EXTENSION}
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float; // shadow angles are tiny, mediump isn't enough
+#else
 precision mediump float;
+#endif
+${LOG_DEPTH_FS}
+#define MAX_OCCLUDERS 8
 varying vec3 vNormal;
 varying vec2 vUV;
 varying vec3 vWorldPos;
@@ -86,13 +170,69 @@ uniform vec3 uColor;
 uniform sampler2D uTexture;
 uniform float uUseTexture;
 uniform float uEmissive;
+uniform float uIsSun;
 uniform float uIsSky;
 uniform float uSkyDim;
 uniform float uSkyRepeat;
 uniform float uSunIntensity;
 uniform vec3 uSunPos;
+uniform float uIsRing;
+uniform float uRingOpacity;
+uniform vec3 uCameraPos;
+// shadows: spheres between the fragment and the Sun (xyz = centre, w = radius)
+uniform vec4 uOccluders[MAX_OCCLUDERS];
+uniform int uOccluderCount;
+uniform float uShadowSunRadius; // size of the light disc, sets penumbra width
+// ring shadow cast onto a planet: plane through uRingCenter with normal uRingNormal
+uniform float uUseRingShadow;
+uniform vec3 uRingCenter;
+uniform vec3 uRingNormal;
+uniform vec2 uRingRadii; // inner, outer
+uniform sampler2D uRingTex;
+
+// fraction of the Sun's disc hidden by a sphere, seen from p
+float sphereOcclusion(vec3 p, vec3 toSun, float sunDist, vec4 occ) {
+  vec3 toOcc = occ.xyz - p;
+  float along = dot(toOcc, toSun);
+  if (along <= 0.0 || along >= sunDist) return 0.0;
+  float dOcc = length(toOcc);
+  if (dOcc <= occ.w) return 0.0; // fragment on/inside the occluder itself
+  float rOcc = asin(occ.w / dOcc);
+  float rSun = asin(min(uShadowSunRadius / sunDist, 1.0));
+  // angular separation, atan2 form stays accurate for small angles
+  float sep = atan(length(cross(toOcc, toSun)), along);
+  float full = min(1.0, (rOcc * rOcc) / (rSun * rSun));
+  return full * (1.0 - smoothstep(abs(rSun - rOcc), rSun + rOcc, sep));
+}
+
+// light reaching p from the Sun after moons, planets and rings (1 = fully lit)
+float sunVisibility(vec3 p) {
+  vec3 toSun = uSunPos - p;
+  float sunDist = length(toSun);
+  toSun /= sunDist;
+  float vis = 1.0;
+  for (int i = 0; i < MAX_OCCLUDERS; i++) {
+    if (i >= uOccluderCount) break;
+    vis *= 1.0 - sphereOcclusion(p, toSun, sunDist, uOccluders[i]);
+  }
+  if (uUseRingShadow > 0.5) {
+    float denom = dot(toSun, uRingNormal);
+    if (abs(denom) > 1e-4) {
+      float t = dot(uRingCenter - p, uRingNormal) / denom;
+      if (t > 0.0) {
+        float r = length(p + toSun * t - uRingCenter);
+        if (r > uRingRadii.x && r < uRingRadii.y) {
+          float u = (r - uRingRadii.x) / (uRingRadii.y - uRingRadii.x);
+          vis *= 1.0 - texture2D(uRingTex, vec2(u, 0.5)).a;
+        }
+      }
+    }
+  }
+  return vis;
+}
 
 void main(void) {
+  writeLogDepth();
   if (uIsSky > 0.5) {
     vec2 skyUV = vec2(vUV.x * uSkyRepeat, vUV.y);
     vec4 texColor = texture2D(uTexture, skyUV);
@@ -100,8 +240,41 @@ void main(void) {
     return;
   }
   vec3 N = normalize(vNormal);
+  if (uIsSun > 0.5) {
+    // the star: emissive, with limb darkening that dims and reddens the disc
+    // towards its edge (linear law, stronger in blue)
+    vec3 surface = uUseTexture > 0.5 ? texture2D(uTexture, vUV).rgb : uColor;
+    float mu = max(dot(N, normalize(uCameraPos - vWorldPos)), 0.0);
+    vec3 limb = 1.0 - vec3(0.5, 0.6, 0.75) * (1.0 - mu);
+    gl_FragColor = vec4(uEmissive * vec3(1.2, 1.0, 0.7) * (0.55 + 0.45 * surface) * limb, 1.0);
+    return;
+  }
   // compute light direction from sun position to the fragment in world space
   vec3 lightDir = normalize(uSunPos - vWorldPos);
+  if (uIsRing > 0.5) {
+    // texture rgb = particle color, alpha = radial density (optical depth)
+    vec4 ringTex = texture2D(uTexture, vUV);
+    float density = ringTex.a * uRingOpacity;
+    if (density < 0.003) discard;
+    vec3 V = normalize(uCameraPos - vWorldPos);
+    float mu0 = abs(dot(N, lightDir));
+    float mu = max(abs(dot(N, V)), 0.05);
+    float ringDist = length(uSunPos - vWorldPos);
+    float ringLight = sunVisibility(vWorldPos) * uSunIntensity / (1.0 + 0.0015 * ringDist * ringDist);
+    float face;
+    if (dot(N, lightDir) * dot(N, V) > 0.0) {
+      // sunlit face: Lommel-Seeliger reflection, dense parts brightest
+      face = 2.0 * mu0 / (mu0 + mu);
+    } else {
+      // night face: only light scattered through the ring gets here, so dense
+      // parts go dark while thin parts glow, strongest looking towards the Sun
+      float forward = pow(max(dot(-V, lightDir), 0.0), 6.0);
+      face = 4.0 * density * (1.0 - density) * (0.3 + 1.5 * forward);
+    }
+    vec3 ringColor = ringTex.rgb * uColor * (0.08 + face * ringLight);
+    gl_FragColor = vec4(ringColor, min(1.0, density));
+    return;
+  }
   float diffuse = max(dot(N, lightDir), 0.0);
   float ambient = 0.18;
   // optional distance attenuation for a softer, more physical falloff
@@ -116,7 +289,8 @@ void main(void) {
     baseColor = texColor.rgb;
   }
 
-  vec3 color = baseColor * (ambient + diffuse * uSunIntensity * attenuation);
+  float shadow = sunVisibility(vWorldPos);
+  vec3 color = baseColor * (ambient + diffuse * shadow * uSunIntensity * attenuation);
   color += uEmissive * vec3(1.2, 1.0, 0.7) * attenuation;
   gl_FragColor = vec4(color, 1.0);
 }
@@ -259,25 +433,157 @@ gl.bindBuffer(gl.ARRAY_BUFFER, uvBuffer);
 gl.vertexAttribPointer(aUV, 2, gl.FLOAT, false, 0, 0);
 gl.enableVertexAttribArray(aUV);
 
-const ring = createRing(1.3, 2.5, 128); // base shape (we’ll scale later)
-const ringPosBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, ringPosBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, ring.positions, gl.STATIC_DRAW);
+// --- asset loading (tracked for the splash progress bar, with fallbacks) ---
+const loadingBarEl = document.getElementById('loadingBar');
+const loadingTextEl = document.getElementById('loadingText');
+const diagnosticsEl = document.getElementById('diagnostics');
+const diagnosticsListEl = document.getElementById('diagnosticsList');
+const ASSET_TIMEOUT_MS = 10000; // the splash gives up waiting after this
+const assetPromises = [];
+const pendingAssets = new Set(); // { label } of each asset still loading
+let assetsTotal = 0;
+let assetsSettled = 0;
+
+function updateLoadingProgress() {
+  const frac = assetsTotal ? assetsSettled / assetsTotal : 1;
+  if (loadingBarEl) loadingBarEl.style.width = `${Math.round(frac * 100)}%`;
+  if (loadingTextEl) loadingTextEl.textContent = `Loading assets ${assetsSettled}/${assetsTotal}`;
+}
+
+// list a missing/broken asset in the diagnostics panel (visible on the splash and after)
+function reportAssetProblem(url, reason) {
+  console.warn(`${reason}:`, url);
+  if (!diagnosticsEl || !diagnosticsListEl) return;
+  const li = document.createElement('li');
+  li.textContent = `${url} — ${reason}`;
+  diagnosticsListEl.appendChild(li);
+  diagnosticsEl.style.display = 'block';
+}
+
+// register a pending asset (`label` names it if it stalls); the returned
+// promise never rejects
+function trackAsset(promise, label) {
+  assetsTotal++;
+  updateLoadingProgress();
+  const entry = { label };
+  pendingAssets.add(entry);
+  const settled = promise.then(
+    () => true,
+    () => false
+  ).then((ok) => {
+    pendingAssets.delete(entry);
+    assetsSettled++;
+    updateLoadingProgress();
+    return ok;
+  });
+  assetPromises.push(settled);
+  return settled;
+}
+
+// resolves once every asset requested so far has loaded or fallen back, or
+// after ASSET_TIMEOUT_MS with the stragglers listed in the diagnostics panel
+export const assetsReady = Promise.race([
+  Promise.resolve().then(function waitAll() {
+    const n = assetPromises.length;
+    return Promise.all(assetPromises).then(() => (assetPromises.length > n ? waitAll() : undefined));
+  }),
+  new Promise((resolve) => setTimeout(resolve, ASSET_TIMEOUT_MS)).then(() => {
+    for (const { label } of pendingAssets) reportAssetProblem(label, 'Still loading, gave up waiting');
+  }),
+]);
+
+// small deterministic PRNG so generated textures look the same every load
+function seededRandom(seedText) {
+  let h = 2166136261;
+  for (let i = 0; i < seedText.length; i++) h = Math.imul(h ^ seedText.charCodeAt(i), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+}
 
-const ringUVBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, ringUVBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, ring.uvs, gl.STATIC_DRAW);
+// stand-in surface for a body without a texture: its color with soft bands and blotches
+function generateBodyTexture(color, seedText) {
+  const cvs = document.createElement('canvas');
+  cvs.width = 256;
+  cvs.height = 128;
+  const ctx = cvs.getContext('2d');
+  const rand = seededRandom(seedText);
+  const rgb = (k) => `rgb(${color.map((c) => Math.round(Math.min(1, c * k) * 255)).join(',')})`;
+  ctx.fillStyle = rgb(1);
+  ctx.fillRect(0, 0, cvs.width, cvs.height);
+  for (let y = 0; y < cvs.height; y += 4) {
+    ctx.fillStyle = rgb(0.9 + rand() * 0.2);
+    ctx.globalAlpha = 0.35;
+    ctx.fillRect(0, y, cvs.width, 4);
+  }
+  for (let i = 0; i < 160; i++) {
+    ctx.fillStyle = rgb(0.75 + rand() * 0.4);
+    ctx.globalAlpha = 0.25;
+    ctx.beginPath();
+    ctx.arc(rand() * cvs.width, rand() * cvs.height, 1 + rand() * 7, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  return cvs;
+}
 
-const ringIndexBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ringIndexBuffer);
-gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, ring.indices, gl.STATIC_DRAW);
+// stand-in sky: random stars on black
+function generateStarfieldTexture() {
+  const cvs = document.createElement('canvas');
+  cvs.width = 2048;
+  cvs.height = 1024;
+  const ctx = cvs.getContext('2d');
+  const rand = seededRandom('starfield');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, cvs.width, cvs.height);
+  for (let i = 0; i < 4000; i++) {
+    const b = Math.pow(rand(), 3);
+    const tint = 200 + Math.round(rand() * 55);
+    ctx.fillStyle = `rgba(${tint},${tint},255,${0.3 + b * 0.7})`;
+    ctx.fillRect(rand() * cvs.width, rand() * cvs.height, b > 0.6 ? 2 : 1, b > 0.6 ? 2 : 1);
+  }
+  return cvs;
+}
 
-const saturnRingTex = loadTexture("textures/saturn_ring.png");
-const galaxyTex = loadTexture("textures/space.png");
+const galaxyTex = loadTexture("textures/space.png", { generate: generateStarfieldTexture });
 // --- Loading Textures for each planet ---
 
-function loadTexture(url) {
+// upload an image or canvas, resizing to power-of-two so it can repeat and mipmap
+function uploadTextureImage(texture, img) {
+  function isPowerOf2(v) {
+    return (v & (v - 1)) === 0;
+  }
+  function nextPowerOf2(v) {
+    v--; v |= v >> 1; v |= v >> 2; v |= v >> 4; v |= v >> 8; v |= v >> 16; v++;
+    return v;
+  }
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+
+  // If image dimensions are already power-of-two we can use REPEAT and mipmaps.
+  if (isPowerOf2(img.width) && isPowerOf2(img.height)) {
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+  } else {
+    // Resize non-power-of-two image to nearest power-of-two so we can repeat it.
+    const cvs = document.createElement('canvas');
+    cvs.width = nextPowerOf2(img.width);
+    cvs.height = nextPowerOf2(img.height);
+    const ctx = cvs.getContext('2d');
+    ctx.drawImage(img, 0, 0, cvs.width, cvs.height);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, cvs);
+  }
+  gl.generateMipmap(gl.TEXTURE_2D);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+}
+
+// fallback: { color: [r,g,b] } and/or { generate: () => canvas } used while
+// loading and when the file is missing (instead of a flat white placeholder)
+function loadTexture(url, fallback = {}) {
   const texture = gl.createTexture();
+  const c = fallback.color || [1, 1, 1];
   gl.bindTexture(gl.TEXTURE_2D, texture);
   gl.texImage2D(
     gl.TEXTURE_2D,
@@ -288,47 +594,25 @@ function loadTexture(url) {
     0,
     gl.RGBA,
     gl.UNSIGNED_BYTE,
-    new Uint8Array([255, 255, 255, 255])
+    new Uint8Array([c[0] * 255, c[1] * 255, c[2] * 255, 255])
   );
 
-  function isPowerOf2(v) {
-    return (v & (v - 1)) === 0;
-  }
-  function nextPowerOf2(v) {
-    v--; v |= v >> 1; v |= v >> 2; v |= v >> 4; v |= v >> 8; v |= v >> 16; v++;
-    return v;
-  }
-
-  const img = new Image();
-  img.crossOrigin = "anonymous";
-  img.onload = () => {
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-
-    // If image dimensions are already power-of-two we can use REPEAT and mipmaps.
-    if (isPowerOf2(img.width) && isPowerOf2(img.height)) {
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
-      gl.generateMipmap(gl.TEXTURE_2D);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    } else {
-      // Resize non-power-of-two image to nearest power-of-two so we can repeat it.
-      const cvs = document.createElement('canvas');
-      cvs.width = nextPowerOf2(img.width);
-      cvs.height = nextPowerOf2(img.height);
-      const ctx = cvs.getContext('2d');
-      ctx.drawImage(img, 0, 0, cvs.width, cvs.height);
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, cvs);
-      gl.generateMipmap(gl.TEXTURE_2D);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    }
-  };
-  img.onerror = () => {
-    console.warn('Failed to load texture:', url);
-  };
-  img.src = url;
+  const loaded = new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => {
+      uploadTextureImage(texture, img);
+      resolve(texture);
+    };
+    img.onerror = () => {
+      reportAssetProblem(url, 'Failed to load texture');
+      if (fallback.generate) uploadTextureImage(texture, fallback.generate());
+      else if (fallback.color) uploadTextureImage(texture, generateBodyTexture(fallback.color, url));
+      reject(new Error(`Failed to load texture: ${url}`));
+    };
+    img.src = url;
+  });
+  trackAsset(loaded, url);
 
   return texture;
 }
@@ -349,6 +633,56 @@ const uEmissiveLoc = gl.getUniformLocation(program, "uEmissive");
 const uUseTextureLoc = gl.getUniformLocation(program, "uUseTexture");
 const uTextureLoc = gl.getUniformLocation(program, "uTexture");
 const uSunIntensityLoc = gl.getUniformLocation(program, "uSunIntensity");
+const uIsRingLoc = gl.getUniformLocation(program, "uIsRing");
+const uRingOpacityLoc = gl.getUniformLocation(program, "uRingOpacity");
+const uOccludersLoc = gl.getUniformLocation(program, "uOccluders");
+const uOccluderCountLoc = gl.getUniformLocation(program, "uOccluderCount");
+const uShadowSunRadiusLoc = gl.getUniformLocation(program, "uShadowSunRadius");
+const uUseRingShadowLoc = gl.getUniformLocation(program, "uUseRingShadow");
+const uRingCenterLoc = gl.getUniformLocation(program, "uRingCenter");
+const uRingNormalLoc = gl.getUniformLocation(program, "uRingNormal");
+const uRingRadiiLoc = gl.getUniformLocation(program, "uRingRadii");
+const uRingTexLoc = gl.getUniformLocation(program, "uRingTex");
+
+// --- shadows ---
+const MAX_OCCLUDERS = 8; // keep in sync with fsSource
+// The visual Sun is hugely oversized for its distance; casting from a smaller
+// disc keeps umbrae visible instead of washing every eclipse out to penumbra.
+const SHADOW_SUN_FRACTION = 0.15; // of the star's visual radius
+const occluderData = new Float32Array(MAX_OCCLUDERS * 4);
+
+// spheres that can shade the next draw call
+function setShadowCasters(casters) {
+  const n = Math.min(casters.length, MAX_OCCLUDERS);
+  for (let i = 0; i < n; i++) {
+    const c = casters[i];
+    occluderData[i * 4 + 0] = c.worldPos[0] - renderOrigin[0];
+    occluderData[i * 4 + 1] = c.worldPos[1] - renderOrigin[1];
+    occluderData[i * 4 + 2] = c.worldPos[2] - renderOrigin[2];
+    occluderData[i * 4 + 3] = c.visualSize;
+  }
+  gl.uniform4fv(uOccludersLoc, occluderData);
+  gl.uniform1i(uOccluderCountLoc, n);
+}
+
+// ring plane of `planet` shading the next draw call (null to disable)
+function setRingShadow(planet) {
+  if (!planet || !planet.rings) {
+    gl.uniform1f(uUseRingShadowLoc, 0.0);
+    return;
+  }
+  gl.uniform1f(uUseRingShadowLoc, 1.0);
+  gl.uniform3fv(uRingCenterLoc, relPoint(planet.worldPos));
+  // all rings of a planet share the first ring's plane for shadowing
+  const rm = planet.rings[0].model;
+  const n = vec3.normalize(vec3.create(), [rm[4], rm[5], rm[6]]);
+  gl.uniform3fv(uRingNormalLoc, n);
+  gl.uniform2f(uRingRadiiLoc, planet.ringShadowInner * planet.visualSize, planet.ringShadowOuter * planet.visualSize);
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_2D, planet.ringShadowTex);
+  gl.uniform1i(uRingTexLoc, 1);
+  gl.activeTexture(gl.TEXTURE0);
+}
 
 // --- GL state ---
 gl.enable(gl.DEPTH_TEST);
@@ -357,422 +691,1656 @@ gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
 gl.clearColor(0, 0, 0, 1);
 
 // --- solar data (realistic tints, scaled) ---
-const distanceScale = 6.0; // 1 AU -> 6 units (tweak visually)
-const sizeScale = 0.28; // Earth = ~0.28 units
-let orbitSlowdown = 0.5; // slow orbits by 50% (adjustable via UI)
+// scenes may override both scales
+const DEFAULT_DISTANCE_SCALE = 6.0; // 1 AU -> 6 units (tweak visually)
+const DEFAULT_SIZE_SCALE = 0.28; // Earth = ~0.28 units
+let distanceScale = DEFAULT_DISTANCE_SCALE;
+let sizeScale = DEFAULT_SIZE_SCALE;
+let timeRate = 5.0; // simulated days per real second, negative runs backwards (adjustable via UI)
+const DEFAULT_TIME_RATE = 5.0;
+// the rate slider is logarithmic and signed: its middle stops the clock and
+// each side runs from a second per second out to a century per second
+const RATE_SLIDER_MAX = 1000; // slider units either side of the middle (its max in the markup)
+const RATE_SLIDER_DEAD_ZONE = 10; // slider units around the middle that mean stopped
+const RATE_LOG_MIN = Math.log10(1 / 86400); // days/s
+const RATE_LOG_MAX = Math.log10(36525);
+const FRAME_STEP_SECONDS = 1 / 60; // a frame step is this much real time at the current rate
+const STEP_SIZES = { hour: 1 / 24, day: 1 }; // days; "frame" follows the rate
 
 // wire up orbit speed slider UI (if present)
 const orbitSlider = document.getElementById('orbitSpeedSlider');
 const orbitLabel = document.getElementById('orbitSpeedLabel');
 const orbitPauseBtn = document.getElementById('orbitPauseBtn');
 const orbitResetBtn = document.getElementById('orbitResetBtn');
+const reverseBtn = document.getElementById('reverseBtn');
+const stepBackBtn = document.getElementById('stepBackBtn');
+const stepForwardBtn = document.getElementById('stepForwardBtn');
+const stepSizeSelect = document.getElementById('stepSizeSelect');
 const sunEmissiveSlider = document.getElementById('sunEmissiveSlider');
 const sunEmissiveLabel = document.getElementById('sunEmissiveLabel');
+const simDateLabel = document.getElementById('simDateLabel');
+const timeNowBtn = document.getElementById('timeNowBtn');
+const datePicker = document.getElementById('datePicker');
+
+// --- simulation clock (UTC, Julian date) ---
+const J2000 = 2451545.0; // JD of 2000-01-01 12:00 TT, epoch of the orbital elements
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JD = 2440587.5;
+
+function jdFromMs(ms) {
+  return ms / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+function msFromJd(jd) {
+  return (jd - UNIX_EPOCH_JD) * MS_PER_DAY;
+}
+
+// "YYYY-MM-DD HH:MM" in UTC; works for negative and 5+ digit years too
+function formatDate(jd) {
+  const d = new Date(msFromJd(jd));
+  if (isNaN(d.getTime())) return 'out of range';
+  const pad = (v, n = 2) => String(v).padStart(n, '0');
+  const y = d.getUTCFullYear();
+  const year = y < 0 ? `-${pad(-y, 4)}` : pad(y, 4);
+  return `${year}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+// describe a rate in days per second using the closest natural unit
+function formatRate(daysPerSec) {
+  const r = Math.abs(daysPerSec);
+  if (r === 0) return 'stopped';
+  const sign = daysPerSec < 0 ? '-' : '';
+  if (r < 1 / 1440) return `${sign}${(r * 86400).toFixed(1)} sec/s`;
+  if (r < 1 / 24) return `${sign}${(r * 1440).toFixed(1)} min/s`;
+  if (r < 1) return `${sign}${(r * 24).toFixed(1)} hours/s`;
+  if (r < 365.25) return `${sign}${r.toFixed(1)} days/s`;
+  return `${sign}${(r / 365.25).toFixed(2)} years/s`;
+}
+
+function rateFromSlider(v) {
+  const a = Math.abs(v);
+  if (a < RATE_SLIDER_DEAD_ZONE) return 0;
+  const f = (a - RATE_SLIDER_DEAD_ZONE) / (RATE_SLIDER_MAX - RATE_SLIDER_DEAD_ZONE);
+  return Math.sign(v) * 10 ** (RATE_LOG_MIN + f * (RATE_LOG_MAX - RATE_LOG_MIN));
+}
+
+// rates beyond the slider's ends park it at the end
+function sliderFromRate(rate) {
+  if (rate === 0) return 0;
+  const f = (Math.log10(Math.abs(rate)) - RATE_LOG_MIN) / (RATE_LOG_MAX - RATE_LOG_MIN);
+  return Math.sign(rate) * (RATE_SLIDER_DEAD_ZONE + Math.min(1, Math.max(0, f)) * (RATE_SLIDER_MAX - RATE_SLIDER_DEAD_ZONE));
+}
 
 // simulation time & pause state
-let simTime = 0.0;
+let simJD = jdFromMs(Date.now()); // current simulated UTC instant
 let lastRealTime = performance.now();
 let paused = false;
+let lastDateText = '';
+
+function updateDateLabel() {
+  if (!simDateLabel) return;
+  const text = `${formatDate(simJD)} UTC`;
+  // only touch the DOM when the visible minute changes
+  if (text !== lastDateText) {
+    simDateLabel.textContent = text;
+    lastDateText = text;
+  }
+}
+
+function setSimDate(jd) {
+  simJD = jd;
+  // physics can't be fast-forwarded; start it over from the Kepler orbits
+  if (physicsEnabled) {
+    stopPhysics();
+    startPhysics();
+  }
+  updateDateLabel();
+  if (datePicker) datePicker.value = formatDate(jd).replace(' ', 'T');
+}
 
-// pending value while user drags the slider; applied on change (release)
-let pendingOrbit = orbitSlowdown;
+if (timeNowBtn) {
+  timeNowBtn.addEventListener('click', () => setSimDate(jdFromMs(Date.now())));
+}
+
+// "2031-05-04T12:30" or "2031-05-04 12:30" (the time is optional) read as
+// UTC; null when unreadable
+function jdFromDateText(text) {
+  const m = /^(-?\d+)-(\d\d?)-(\d\d?)(?:[T ](\d\d?):(\d\d))?/.exec(text.trim());
+  if (!m) return null;
+  const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0));
+  return isNaN(ms) ? null : jdFromMs(ms);
+}
+
+if (datePicker) {
+  datePicker.value = formatDate(simJD).replace(' ', 'T');
+  datePicker.addEventListener('change', (e) => {
+    // datetime-local has no zone; the readout is UTC so interpret it as UTC too
+    const jd = jdFromDateText(e.target.value);
+    if (jd !== null) setSimDate(jd);
+  });
+}
 
-// sun emissive control (brightness coming from origin)
+// sun emissive control (brightness coming from origin); it sets how bright the
+// star itself glows and blooms, while the planets and rings stay lit on a fixed
+// scale and the exposure brings the whole frame up or down
 let sunEmissive = 2.0; // default emissive brightness for the Sun on load
+const SUN_LIGHT_INTENSITY = 2.0; // sunlight on planets and rings
+function setSunEmissive(v) {
+  sunEmissive = v;
+  if (sunEmissiveSlider) sunEmissiveSlider.value = v;
+  if (sunEmissiveLabel) sunEmissiveLabel.textContent = `Sun Brightness: x${v.toFixed(1)}`;
+}
 if (sunEmissiveSlider && sunEmissiveLabel) {
-  const updateSunLabel = (v) => {
-    sunEmissiveLabel.textContent = `Sun Brightness: x${v.toFixed(1)}`;
-  };
-  sunEmissiveSlider.value = sunEmissive;
-  updateSunLabel(sunEmissive);
-  sunEmissiveSlider.addEventListener('input', (e) => {
-    sunEmissive = parseFloat(e.target.value);
-    updateSunLabel(sunEmissive);
-  });
+  setSunEmissive(sunEmissive);
+  sunEmissiveSlider.addEventListener('input', (e) => setSunEmissive(parseFloat(e.target.value)));
+}
+
+function setGridVisible(on) {
+  gridVisible = on;
+  const btn = document.getElementById('gridToggleBtn');
+  if (btn) btn.textContent = on ? 'Grid: On' : 'Grid: Off';
+}
+
+function setOrbitsVisible(on) {
+  orbitsVisible = on;
+  const btn = document.getElementById('orbitsToggleBtn');
+  if (btn) btn.textContent = on ? 'Orbits: On' : 'Orbits: Off';
+}
+
+// the Reset button: default rate, and the sun's default brightness as well
+function resetRateAndSun() {
+  setTimeRate(DEFAULT_TIME_RATE);
+  setSunEmissive(2.0);
+}
+
+function togglePause() {
+  paused = !paused;
+  if (orbitPauseBtn) orbitPauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  // reset lastRealTime so there's no big jump when resuming
+  lastRealTime = performance.now();
+}
+
+// set the rate (days/s, negative for backwards), keeping the controls in step
+function setTimeRate(rate, { fromSlider = false } = {}) {
+  timeRate = rate;
+  if (orbitSlider && !fromSlider) orbitSlider.value = sliderFromRate(rate);
+  if (orbitLabel) orbitLabel.textContent = `Rate: ${formatRate(rate)}`;
+  if (reverseBtn) reverseBtn.textContent = rate < 0 ? 'Forward' : 'Reverse';
+}
+
+// run the other way, and run at all if paused or stopped
+function reverseTime() {
+  setTimeRate(timeRate ? -timeRate : -DEFAULT_TIME_RATE);
+  if (paused) togglePause();
+}
+
+// a preset speed (days/s) in the current direction
+function setTimeSpeed(speed) {
+  setTimeRate((timeRate < 0 ? -1 : 1) * speed);
+}
+
+// faster or slower by `factor` in the current direction
+function scaleTimeRate(factor) {
+  const r = Math.abs(timeRate) * factor;
+  const sign = timeRate < 0 ? -1 : 1;
+  if (r < 10 ** RATE_LOG_MIN) setTimeRate(factor > 1 ? sign * 10 ** RATE_LOG_MIN : 0);
+  else setTimeRate(sign * Math.min(r, 10 ** RATE_LOG_MAX));
+}
+
+// one step of the chosen size (`direction` is 1 or -1); pauses first so the
+// steps can be followed. Under physics the step gets a frame's integration
+// budget and falls short like a running sim does
+function stepTime(direction) {
+  if (!paused) togglePause();
+  const size = STEP_SIZES[stepSizeSelect ? stepSizeSelect.value : 'frame'];
+  const frame = Math.max(Math.abs(timeRate), 1 / 86400) * FRAME_STEP_SECONDS;
+  const d = direction * (size ?? frame);
+  if (!physicsEnabled) {
+    simJD += d;
+    return;
+  }
+  simJD += advancePhysics(d);
+  updatePhysicsReadout();
 }
 
 if (orbitSlider && orbitLabel) {
-  const updateOrbitLabel = (v, preview = false) => {
-    orbitLabel.textContent = `Time Dilation: x${v.toFixed(2)}`;
-  };
-  orbitSlider.value = orbitSlowdown;
-  pendingOrbit = orbitSlowdown;
-  updateOrbitLabel(orbitSlowdown);
+  setTimeRate(timeRate);
 
-  // while dragging, only update the label/preview
+  // the rate follows the slider while it's dragged
   orbitSlider.addEventListener('input', (e) => {
-    pendingOrbit = parseFloat(e.target.value);
-    updateOrbitLabel(pendingOrbit, true);
+    setTimeRate(rateFromSlider(parseFloat(e.target.value)), { fromSlider: true });
   });
 
-  // apply the chosen speed when the user releases (change event)
-  orbitSlider.addEventListener('change', (e) => {
-    orbitSlowdown = parseFloat(e.target.value);
-    pendingOrbit = orbitSlowdown;
-    updateOrbitLabel(orbitSlowdown, false);
-  });
+  // rate presets in real units (buttons carry days-per-second in data-rate)
+  for (const btn of document.querySelectorAll('[data-rate]')) {
+    btn.addEventListener('click', () => setTimeSpeed(parseFloat(btn.dataset.rate)));
+  }
+
+  if (reverseBtn) reverseBtn.addEventListener('click', reverseTime);
+  if (stepBackBtn) stepBackBtn.addEventListener('click', () => stepTime(-1));
+  if (stepForwardBtn) stepForwardBtn.addEventListener('click', () => stepTime(1));
 
   // Pause / Resume
-  if (orbitPauseBtn) {
-    orbitPauseBtn.addEventListener('click', () => {
-      paused = !paused;
-      orbitPauseBtn.textContent = paused ? 'Resume' : 'Pause';
-      // reset lastRealTime so there's no big jump when resuming
-      lastRealTime = performance.now();
-    });
-  }
+  if (orbitPauseBtn) orbitPauseBtn.addEventListener('click', togglePause);
 
   // Reset to default
-  if (orbitResetBtn) {
-    orbitResetBtn.addEventListener('click', () => {
-      const def = 0.5;
-      orbitSlider.value = def;
-      orbitSlowdown = def;
-      pendingOrbit = def;
-      updateOrbitLabel(def, false);
-      // reset sun emissive as well
-      const sunDef = 2.0;
-      sunEmissive = sunDef;
-      if (sunEmissiveSlider) sunEmissiveSlider.value = sunDef;
-      if (sunEmissiveLabel) sunEmissiveLabel.textContent = `Sun Brightness: x${sunDef.toFixed(1)}`;
-    });
-  }
+  if (orbitResetBtn) orbitResetBtn.addEventListener('click', resetRateAndSun);
 
   // Grid toggle button (if present in HTML)
   const gridToggleBtn = document.getElementById('gridToggleBtn');
   if (gridToggleBtn) {
-    gridToggleBtn.addEventListener('click', () => {
-      gridVisible = !gridVisible;
-      gridToggleBtn.textContent = gridVisible ? 'Grid: On' : 'Grid: Off';
-    });
+    gridToggleBtn.addEventListener('click', () => setGridVisible(!gridVisible));
+  }
+
+  // Orbit path toggle button
+  const orbitsToggleBtn = document.getElementById('orbitsToggleBtn');
+  if (orbitsToggleBtn) {
+    orbitsToggleBtn.addEventListener('click', () => setOrbitsVisible(!orbitsVisible));
   }
 }
 
-const planets = [
-  {
-    name: "Mercury",
-    distAU: 0.39,
-    size: 0.38,
-    color: [0.68, 0.63, 0.58],
-    period: 88,
-  },
-  {
-    name: "Venus",
-    distAU: 0.72,
-    size: 0.95,
-    color: [0.91, 0.78, 0.56],
-    period: 225,
-  },
-  {
-    name: "Earth",
-    distAU: 1.0,
-    size: 1.0,
-    color: [0.18, 0.5, 0.86],
-    period: 365,
-    moons: [
-      {
-        name: "Moon",
-        relDist: 0.004,
-        size: 0.27,
-        color: [0.8, 0.8, 0.82],
-        period: 27,
-      },
-    ],
-  },
-  {
-    name: "Mars",
-    distAU: 1.52,
-    size: 0.53,
-    color: [0.86, 0.44, 0.31],
-    period: 687,
-    moons: [
-      {
-        name: "Phobos",
-        relDist: 0.0015,
-        size: 0.011,
-        color: [0.6, 0.6, 0.6],
-        period: 0.32,
-      },
-      {
-        name: "Deimos",
-        relDist: 0.003,
-        size: 0.006,
-        color: [0.7, 0.7, 0.7],
-        period: 1.26,
-      },
-    ],
-  },
-  {
-    name: "Jupiter",
-    distAU: 5.2,
-    size: 11.21,
-    color: [0.9, 0.77, 0.6],
-    period: 4333,
-    moons: [
-      {
-        name: "Io",
-        relDist: 0.0028,
-        size: 0.285,
-        color: [0.9, 0.7, 0.4],
-        period: 1.77,
-      },
-      {
-        name: "Europa",
-        relDist: 0.0045,
-        size: 0.245,
-        color: [0.9, 0.95, 1.0],
-        period: 3.55,
-      },
-      {
-        name: "Ganymede",
-        relDist: 0.007,
-        size: 0.413,
-        color: [0.8, 0.8, 0.75],
-        period: 7.15,
-      },
-      {
-        name: "Callisto",
-        relDist: 0.012,
-        size: 0.378,
-        color: [0.7, 0.7, 0.65],
-        period: 16.69,
-      },
-    ],
-  },
-  {
-    name: "Saturn",
-    distAU: 9.58,
-    size: 9.45,
-    color: [0.94, 0.86, 0.64],
-    period: 10759,
-    moons: [
-      {
-        name: "Titan",
-        relDist: 0.02,
-        size: 0.4,
-        color: [0.87, 0.72, 0.55],
-        period: 15.95,
-      },
-    ],
-    hasRing: true,
-  },
-  {
-    name: "Uranus",
-    distAU: 19.2,
-    size: 4.01,
-    color: [0.6, 0.85, 0.92],
-    period: 30687,
-    moons: [
-      {
-        name: "Titania",
-        relDist: 0.01,
-        size: 0.15,
-        color: [0.8, 0.8, 0.85],
-        period: 8.7,
-      },
-    ],
-  },
-  {
-    name: "Neptune",
-    distAU: 30.05,
-    size: 3.88,
-    color: [0.3, 0.45, 0.8],
-    period: 60190,
-    moons: [
-      {
-        name: "Triton",
-        relDist: 0.01,
-        size: 0.22,
-        color: [0.9, 0.9, 0.95],
-        period: 5.88,
-      },
-    ],
-  },
-];
+// --- orbital mechanics (Keplerian elements) ---
+const DEG = Math.PI / 180;
+
+// solve Kepler's equation M = E - e*sin(E) for the eccentric anomaly E (radians)
+function solveKepler(M, e) {
+  // wrap into [-PI, PI] so Newton's method starts close to the root
+  M = M % (2 * Math.PI);
+  if (M > Math.PI) M -= 2 * Math.PI;
+  else if (M < -Math.PI) M += 2 * Math.PI;
+  // starting at PI is safer for very eccentric orbits
+  let E = e < 0.8 ? M : Math.sign(M) * Math.PI;
+  for (let k = 0; k < 30; k++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E;
+}
 
-for (const p of planets) {
-  p.phase = Math.random() * Math.PI * 2; // random start angle
-  p.distance = p.distAU * distanceScale;
-  p.visualSize = Math.max(0.04, p.size * sizeScale);
+// mean anomaly (radians) of a body `days` after the J2000 epoch
+function meanAnomalyAt(body, days) {
+  return (body.orbit.M0 + (360 * days) / body.period) * DEG;
+}
 
-  p.texture = loadTexture(`textures/${p.name.toLowerCase()}.jpg`);
+// rotate a point given in the orbit (perifocal) plane into scene axes.
+// Ecliptic x stays x, ecliptic north becomes +Y and ecliptic y becomes -Z,
+// so prograde orbits run counter-clockwise when seen from above.
+function perifocalToScene(el, xv, yv, out) {
+  const cO = Math.cos(el.node * DEG), sO = Math.sin(el.node * DEG);
+  const cw = Math.cos(el.argPeri * DEG), sw = Math.sin(el.argPeri * DEG);
+  const ci = Math.cos(el.i * DEG), si = Math.sin(el.i * DEG);
+  const x = xv * (cO * cw - sO * sw * ci) - yv * (cO * sw + sO * cw * ci);
+  const y = xv * (sO * cw + cO * sw * ci) - yv * (sO * sw - cO * cw * ci);
+  const z = xv * (sw * si) + yv * (cw * si);
+  out[0] = x;
+  out[1] = z;
+  out[2] = -y;
+  return out;
+}
 
-  if (p.moons) {
-    for (const m of p.moons) {
-      m.visualDist = Math.max(0.09, m.relDist * distanceScale * 35);
-      m.visualSize = Math.max(0.01, m.size * sizeScale);
-      m.texture = loadTexture(`textures/${m.name.toLowerCase()}.jpg`);
-    }
-  }
-}
-
-const sunColor = [1.0, 0.95, 0.7];
-const sunRadius = 1.8;
-
-  // --- asteroid belt (points) ---
-  const ASTEROID_COUNT = 1400;
-  const asteroids = new Array(ASTEROID_COUNT);
-  for (let i = 0; i < ASTEROID_COUNT; i++) {
-    // radius between ~2.2 and 3.5 AU (between Mars and Jupiter)
-    const rAU = 2.2 + Math.random() * 1.6;
-    const radius = rAU * distanceScale;
-    const phase = Math.random() * Math.PI * 2;
-    const speed = (0.6 + Math.random() * 0.8) * (0.5 / (rAU)); // slower further out
-    const incl = (Math.random() - 0.5) * 0.06; // small inclination
-    const sizePx = 0.8 + Math.random() * 1.6; // point size in pixels
-    const gray = 0.4 + Math.random() * 0.4;
-    asteroids[i] = { radius, phase, speed, incl, sizePx, color: [gray, gray, gray] };
-  }
-
-  // create asteroid GL program (simple point sprite)
-  const vsAst = `
-  attribute vec3 aPosition;
-  attribute float aSize;
-  attribute vec3 aColor;
-  uniform mat4 uVP;
-  uniform float uPointScale;
-  varying vec3 vColor;
-  void main() {
-    vColor = aColor;
-    gl_Position = uVP * vec4(aPosition, 1.0);
-    gl_PointSize = aSize * uPointScale;
-  }
-  `;
-
-  const fsAst = `
-  precision mediump float;
-  varying vec3 vColor;
-  void main() {
-    // circular disc inside the point
-    vec2 coord = gl_PointCoord - 0.5;
-    float r = length(coord);
-    if (r > 0.5) discard;
-    float alpha = smoothstep(0.5, 0.45, r);
-    gl_FragColor = vec4(vColor, alpha);
-  }
-  `;
-
-  const vshAst = createShader(gl.VERTEX_SHADER, vsAst);
-  const fshAst = createShader(gl.FRAGMENT_SHADER, fsAst);
-  const astProgram = gl.createProgram();
-  gl.attachShader(astProgram, vshAst);
-  gl.attachShader(astProgram, fshAst);
-  gl.linkProgram(astProgram);
-  let astLinked = true;
-  if (!gl.getProgramParameter(astProgram, gl.LINK_STATUS)) {
-    console.error('Asteroid program link error:', gl.getProgramInfoLog(astProgram));
-    astLinked = false;
-  }
-
-  let aPosAst = -1, aSizeAst = -1, aColorAst = -1, uVPAst = null, uPointScale = null;
-  const astPosBuffer = gl.createBuffer();
-  const astSizeBuffer = gl.createBuffer();
-  const astColorBuffer = gl.createBuffer();
-  // typed arrays reused each frame
-  const astPosArray = new Float32Array(ASTEROID_COUNT * 3);
-  const astSizeArray = new Float32Array(ASTEROID_COUNT);
-  const astColorArray = new Float32Array(ASTEROID_COUNT * 3);
-  if (astLinked) {
-    aPosAst = gl.getAttribLocation(astProgram, 'aPosition');
-    aSizeAst = gl.getAttribLocation(astProgram, 'aSize');
-    aColorAst = gl.getAttribLocation(astProgram, 'aColor');
-    uVPAst = gl.getUniformLocation(astProgram, 'uVP');
-    uPointScale = gl.getUniformLocation(astProgram, 'uPointScale');
-  } else {
-    // if asteroid program failed, skip asteroid rendering
-    console.warn('Asteroid rendering disabled due to shader/link error');
-  }
+// position on the orbit for mean anomaly M, in units of the semi-major axis
+function orbitPosition(el, M, out = vec3.create()) {
+  const E = solveKepler(M, el.e);
+  const xv = Math.cos(E) - el.e;
+  const yv = Math.sqrt(1 - el.e * el.e) * Math.sin(E);
+  return perifocalToScene(el, xv, yv, out);
+}
 
-// --- grid (horizontal XZ plane) ---
-// simple unlit line shader to draw a grid on the XZ plane at y=0
-const vsGridSrc = `
-attribute vec3 aPosition;
-uniform mat4 uVP;
-uniform mat4 uModel;
-varying vec3 vWorldPos;
-void main() {
-  vec4 wp = uModel * vec4(aPosition, 1.0);
-  vWorldPos = wp.xyz;
-  gl_Position = uVP * wp;
+// velocity on the orbit for mean anomaly M and mean motion n (rad/day), in
+// semi-major axes per day
+function orbitVelocity(el, M, n, out = vec3.create()) {
+  const E = solveKepler(M, el.e);
+  const dE = n / (1 - el.e * Math.cos(E));
+  return perifocalToScene(el, -Math.sin(E) * dE, Math.sqrt(1 - el.e * el.e) * Math.cos(E) * dE, out);
 }
-`;
-const fsGridSrc = `
-precision mediump float;
-varying vec3 vWorldPos;
-uniform vec3 uColor;
-uniform float uAlpha;
-uniform float uFadeStart; // distance where fade begins
-uniform float uFadeEnd;   // distance where fade reaches 0
-void main() {
-  float r = length(vWorldPos.xz);
-  float fade = 1.0;
-  if (r > uFadeStart) {
-    fade = 1.0 - smoothstep(uFadeStart, uFadeEnd, r);
-  }
-  float outA = uAlpha * fade;
-  if (outA <= 0.001) discard;
-  gl_FragColor = vec4(uColor, outA);
+
+// --- spin axes ---
+const OBLIQUITY_J2000 = 23.4392911 * DEG; // Earth's equator vs. the ecliptic
+
+// unit vector (scene axes) for an equatorial RA/Dec direction given in degrees
+function sceneFromRaDec(ra, dec, out = vec3.create()) {
+  const x = Math.cos(dec * DEG) * Math.cos(ra * DEG);
+  const y = Math.cos(dec * DEG) * Math.sin(ra * DEG);
+  const z = Math.sin(dec * DEG);
+  // equatorial -> ecliptic, then ecliptic -> scene as in perifocalToScene
+  const ce = Math.cos(OBLIQUITY_J2000), se = Math.sin(OBLIQUITY_J2000);
+  const ye = y * ce + z * se;
+  const ze = -y * se + z * ce;
+  out[0] = x;
+  out[1] = ze;
+  out[2] = -ye;
+  return out;
 }
-`;
-const vshGrid = createShader(gl.VERTEX_SHADER, vsGridSrc);
-const fshGrid = createShader(gl.FRAGMENT_SHADER, fsGridSrc);
-const gridProgram = gl.createProgram();
-gl.attachShader(gridProgram, vshGrid);
-gl.attachShader(gridProgram, fshGrid);
-gl.linkProgram(gridProgram);
-if (!gl.getProgramParameter(gridProgram, gl.LINK_STATUS)) {
-  console.error('Grid program link error:', gl.getProgramInfoLog(gridProgram));
+
+// rotation axis of a body in scene axes
+function spinAxis(body, out = vec3.create()) {
+  if (body.pole) return sceneFromRaDec(body.pole[0], body.pole[1], out);
+  if (!body.orbit) return vec3.set(out, 0, 1, 0);
+  // orbit normal, tilted by the obliquity about the line of nodes
+  const el = body.orbit;
+  const iTilt = (el.i + (body.obliquity || 0)) * DEG;
+  const sO = Math.sin(el.node * DEG), cO = Math.cos(el.node * DEG);
+  return vec3.set(out, Math.sin(iTilt) * sO, Math.cos(iTilt), Math.sin(iTilt) * cO);
 }
 
-// grid buffer (positions only)
-const gridBuffer = gl.createBuffer();
-let gridVertexCount = 0;
-const gridModel = mat4.create(); // identity by default
-let gridVisible = true; // toggleable by UI
-// fade parameters (will be set relative to grid size)
-let gridFadeStart = 200.0;
-let gridFadeEnd = 400.0;
+// rotation matrix taking the sphere's +Y pole onto the body's spin axis
+function orientationFromAxis(axis, out = mat4.create()) {
+  const ref = Math.abs(axis[1]) < 0.99 ? [0, 1, 0] : [1, 0, 0];
+  const x = vec3.cross(vec3.create(), axis, ref);
+  vec3.normalize(x, x);
+  const z = vec3.cross(vec3.create(), x, axis);
+  mat4.set(out,
+    x[0], x[1], x[2], 0,
+    axis[0], axis[1], axis[2], 0,
+    z[0], z[1], z[2], 0,
+    0, 0, 0, 1);
+  return out;
+}
 
-// utility: build grid vertices for XZ plane centered at origin
-function buildGrid(size = 600, divisions = 40) {
-  const half = size * 0.5;
-  const step = size / divisions;
-  const verts = [];
-  // lines parallel to X (varying Z)
-  for (let i = 0; i <= divisions; i++) {
-    const z = -half + i * step;
-    verts.push(-half, 0, z, half, 0, z);
+// rotation about the spin axis (radians) at `days` after J2000
+const _spinTmp = vec3.create();
+function spinAngle(body, days) {
+  if (body.tidallyLocked && !body.isSun) {
+    // turn the texture centre (sphere -X, the 0° meridian) to face the parent
+    // (or the star, for tidally locked planets)
+    vec3.sub(_spinTmp, (body.parent || sun).worldPos, body.worldPos);
+    const o = body.orientation;
+    const dx = _spinTmp[0] * o[0] + _spinTmp[1] * o[1] + _spinTmp[2] * o[2];
+    const dz = _spinTmp[0] * o[8] + _spinTmp[1] * o[9] + _spinTmp[2] * o[10];
+    return Math.atan2(dz, -dx);
   }
-  // lines parallel to Z (varying X)
-  for (let i = 0; i <= divisions; i++) {
-    const x = -half + i * step;
-    verts.push(x, 0, -half, x, 0, half);
+  if (!body.rotationPeriod) return 0;
+  return (2 * Math.PI * ((days * 24) / body.rotationPeriod)) % (2 * Math.PI);
+}
+
+// model = translate(worldPos) * orientation * spin * scale(visualSize)
+function setBodyModel(body, days) {
+  const s = body.visualSize;
+  mat4.fromTranslation(body.model, body.worldPos);
+  mat4.multiply(body.model, body.model, body.orientation);
+  mat4.rotateY(body.model, body.model, spinAngle(body, days));
+  mat4.scale(body.model, body.model, [s, s, s]);
+}
+
+// --- ring systems ---
+// Each ring: inner/outer radius in planet radii, optional texture (supplies the
+// particle color), optional profile = [[r, density], ...] stops in planet radii
+// (linear in between, 0 outside), opacity scaling the density, color tint and
+// tilt (deg) of the ring plane away from the planet's equator.
+const RING_PROFILE_SIZE = 512; // radial texels; fine enough for Encke-sized gaps
+
+// density (0..1) of a ring at radius r (planet radii)
+function ringDensity(ringDef, r) {
+  if (r < ringDef.inner || r > ringDef.outer) return 0;
+  const stops = ringDef.profile;
+  if (!stops) return 1;
+  if (r <= stops[0][0] || r >= stops[stops.length - 1][0]) return 0;
+  for (let k = 1; k < stops.length; k++) {
+    if (r <= stops[k][0]) {
+      const [r0, d0] = stops[k - 1];
+      const [r1, d1] = stops[k];
+      return d0 + ((d1 - d0) * (r - r0)) / (r1 - r0);
+    }
   }
-  const arr = new Float32Array(verts);
-  gl.bindBuffer(gl.ARRAY_BUFFER, gridBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, arr, gl.STATIC_DRAW);
-  gridVertexCount = arr.length / 3;
+  return 0;
 }
-let gridSize = 800;
-let gridDivisions = 64;
-buildGrid(gridSize, gridDivisions);
 
-// keep fade parameters in sync with grid size by default
-gridFadeStart = gridSize * 0.25;
-gridFadeEnd = gridSize * 0.5;
+// 1D radial texture: rgb from `colorSource` (image stretched across the ring or
+// the ring color), alpha from the density profile
+function buildRingProfileCanvas(ringDef, colorSource) {
+  const cvs = document.createElement('canvas');
+  cvs.width = RING_PROFILE_SIZE;
+  cvs.height = 4;
+  const ctx = cvs.getContext('2d');
+  let srcPixels = null;
+  if (colorSource) {
+    ctx.drawImage(colorSource, 0, 0, cvs.width, cvs.height);
+    srcPixels = ctx.getImageData(0, 0, cvs.width, 1).data;
+  }
+  const img = ctx.createImageData(cvs.width, cvs.height);
+  for (let x = 0; x < cvs.width; x++) {
+    const r = ringDef.inner + ((x + 0.5) / cvs.width) * (ringDef.outer - ringDef.inner);
+    // an image without a profile keeps its own alpha as the density
+    const density = ringDef.profile || !srcPixels ? ringDensity(ringDef, r) : srcPixels[x * 4 + 3] / 255;
+    for (let y = 0; y < cvs.height; y++) {
+      const o = (y * cvs.width + x) * 4;
+      for (let c = 0; c < 3; c++) img.data[o + c] = srcPixels ? srcPixels[x * 4 + c] : 255;
+      img.data[o + 3] = Math.round(density * 255);
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return cvs;
+}
 
-// API: update/rebuild the grid at runtime. Call from console or hook a UI.
-function updateGrid(size, divisions) {
-  gridSize = typeof size === 'number' ? size : gridSize;
-  gridDivisions = typeof divisions === 'number' ? divisions : gridDivisions;
-  buildGrid(gridSize, gridDivisions);
-  // adjust fades if caller didn't supply explicit ones
-  gridFadeStart = gridSize * 0.25;
-  gridFadeEnd = gridSize * 0.5;
+function buildRingTexture(ringDef) {
+  const texture = gl.createTexture();
+  uploadTextureImage(texture, buildRingProfileCanvas(ringDef, null));
+  if (ringDef.texture) {
+    const url = sceneAssetUrl(ringDef.texture);
+    const loaded = new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        uploadTextureImage(texture, buildRingProfileCanvas(ringDef, img));
+        resolve(texture);
+      };
+      img.crossOrigin = "anonymous";
+      img.onerror = () => {
+        reportAssetProblem(url, 'Failed to load ring texture');
+        reject(new Error(`Failed to load ring texture: ${url}`));
+      };
+      img.src = url;
+    });
+    trackAsset(loaded, url);
+  }
+  return texture;
 }
 
-// convenience alias exposed for quick console tweaks: `setGrid(size, divisions)`
-window.setGrid = (size, divisions) => updateGrid(size, divisions);
+// combined shadow texture over all of a planet's rings: alpha = total opacity
+function buildRingShadow(p) {
+  p.ringShadowInner = Math.min(...p.rings.map((r) => r.inner));
+  p.ringShadowOuter = Math.max(...p.rings.map((r) => r.outer));
+  const cvs = document.createElement('canvas');
+  cvs.width = RING_PROFILE_SIZE;
+  cvs.height = 4;
+  const ctx = cvs.getContext('2d');
+  const img = ctx.createImageData(cvs.width, cvs.height);
+  for (let x = 0; x < cvs.width; x++) {
+    const r = p.ringShadowInner + ((x + 0.5) / cvs.width) * (p.ringShadowOuter - p.ringShadowInner);
+    let clear = 1;
+    for (const rd of p.rings) clear *= 1 - Math.min(1, ringDensity(rd, r) * (rd.opacity ?? 1));
+    for (let y = 0; y < cvs.height; y++) img.data[(y * cvs.width + x) * 4 + 3] = Math.round((1 - clear) * 255);
+  }
+  ctx.putImageData(img, 0, 0);
+  p.ringShadowTex = gl.createTexture();
+  uploadTextureImage(p.ringShadowTex, cvs);
+}
+
+function buildRings(p) {
+  for (const rd of p.rings) {
+    const mesh = createRing(rd.inner, rd.outer, 192);
+    rd.posBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, rd.posBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, gl.STATIC_DRAW);
+    rd.uvBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, rd.uvBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.uvs, gl.STATIC_DRAW);
+    rd.indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, rd.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, gl.STATIC_DRAW);
+    rd.indexCount = mesh.indices.length;
+    rd.glTexture = buildRingTexture(rd);
+    rd.model = mat4.create();
+  }
+  buildRingShadow(p);
+}
+
+// build a closed orbit ellipse (unit semi-major axis, scene axes) as a line loop buffer
+const ORBIT_SEGMENTS = 256;
+function buildOrbitPath(body, el = body.orbit) {
+  const verts = new Float32Array(ORBIT_SEGMENTS * 3);
+  const b = Math.sqrt(1 - el.e * el.e);
+  const pt = vec3.create();
+  for (let k = 0; k < ORBIT_SEGMENTS; k++) {
+    // sample evenly in eccentric anomaly so the perihelion end stays smooth;
+    // comet-like orbits bunch samples up further at perihelion
+    const u = k / ORBIT_SEGMENTS;
+    const bunched = Math.PI * (1 + Math.sin(Math.PI * (u - 0.5)));
+    const E = 2 * Math.PI * u + (bunched - 2 * Math.PI * u) * el.e * el.e;
+    perifocalToScene(el, Math.cos(E) - el.e, b * Math.sin(E), pt);
+    verts.set(pt, k * 3);
+  }
+  if (!body.orbitBuffer) body.orbitBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, body.orbitBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+  body.orbitModel = mat4.create();
+  body.orbitPathEl = el;
+}
+
+// osculating elements wobble every physics step, so only rebuild the path once
+// its shape has drifted by a fraction of the semi-major axis (the node and
+// perihelion of near-flat, near-circular orbits swing without moving it)
+const ORBIT_PATH_TOLERANCE = 1e-3;
+function refreshOrbitPath(body, el) {
+  const old = body.orbitPathEl;
+  if (old) {
+    const turn = (deg) => Math.abs(((deg % 360) + 540) % 360 - 180) * DEG;
+    const drift = Math.max(
+      Math.abs(el.e - old.e),
+      turn(el.i - old.i) + Math.sin(el.i * DEG) * turn(el.node - old.node),
+      el.e * turn(el.node + el.argPeri - old.node - old.argPeri)
+    );
+    if (drift < ORBIT_PATH_TOLERANCE) return;
+  }
+  buildOrbitPath(body, el);
+}
+
+// --- scene bodies ---
+// The star, planets, moons, rings and belts come from a JSON scene file (format
+// in scenes/README.md). Orbital elements are referred to the J2000 ecliptic;
+// moon elements use the same angles about the parent, with `relDist` driving
+// the exaggerated visual spacing. Loading a scene swaps these in place.
+const planets = [];
+const comets = [];
+let sun = null;
+let sunColor = [1, 1, 1];
+let sceneBaseUrl = document.baseURI; // scene-relative paths resolve against this
+const SOLAR_MASS_KG = 1.98847e30;
+
+function sceneAssetUrl(path) {
+  return new URL(path, sceneBaseUrl).href;
+}
+
+// scene texture if given, otherwise a surface generated from the body color
+function loadBodyTexture(def) {
+  if (def.texture) return loadTexture(sceneAssetUrl(def.texture), { color: def.color });
+  const texture = gl.createTexture();
+  uploadTextureImage(texture, generateBodyTexture(def.color, def.name));
+  return texture;
+}
+
+// Kepler's third law, for scenes that leave out a body's period (days)
+function keplerPeriod(aAU, centralMassKg, massKg = 0) {
+  const a = aAU * AU_KM;
+  return (2 * Math.PI * Math.sqrt((a * a * a) / (G_KM * (centralMassKg + massKg)))) / 86400;
+}
+
+// runtime body (planet or moon) from its scene definition
+function createBody(def, parent) {
+  const body = structuredClone(def);
+  body.orbit = { e: 0, i: 0, node: 0, argPeri: 0, M0: 0, ...def.orbit };
+  const central = parent || sun;
+  body.period = def.period ?? keplerPeriod(body.orbit.a, central.massKg, def.massKg);
+  body.worldPos = vec3.create();
+  body.helioPos = vec3.create(); // true heliocentric position (AU)
+  body.model = mat4.create();
+  if (parent) {
+    body.parent = parent;
+    body.visualDist = Math.max(0.09, (def.relDist ?? def.orbit.a) * distanceScale * 35);
+    body.baseSize = Math.max(0.01, def.size * sizeScale);
+  } else {
+    body.baseSize = Math.max(0.04, def.size * sizeScale);
+  }
+  body.trueSize = trueRadius(def.radiusKm ?? def.size * EARTH_RADIUS_KM);
+  body.visualSize = layoutMix(body.baseSize, body.trueSize);
+  body.orientation = orientationFromAxis(spinAxis(body));
+  if (body.rings) buildRings(body);
+  buildOrbitPath(body);
+  body.glTexture = loadBodyTexture(def);
+  body.moons = def.moons && def.moons.map((m) => createBody(m, body));
+  return body;
+}
+
+function createStar(def) {
+  const star = {
+    ...structuredClone(def),
+    name: def.name ?? 'Star',
+    isSun: true,
+    massKg: def.massKg ?? SOLAR_MASS_KG,
+    baseSize: def.radius,
+    trueSize: trueRadius(def.radiusKm ?? SUN_RADIUS_KM),
+    worldPos: vec3.create(),
+    helioPos: vec3.create(),
+    model: mat4.create(),
+    glTexture: def.texture ? loadTexture(sceneAssetUrl(def.texture), { color: def.color }) : null,
+  };
+  star.visualSize = layoutMix(star.baseSize, star.trueSize);
+  star.orientation = orientationFromAxis(spinAxis(star));
+  return star;
+}
+
+// comets are planets without rings or moons, plus a tail (lengths in AU at
+// 1 AU from the star) and a velocity to bend the dust tail along
+function createComet(def) {
+  const comet = createBody(def, null);
+  comet.isComet = true;
+  comet.tail = { ion: 1.0, dust: 0.6, ...def.tail };
+  comet.helioVel = vec3.create(); // AU/day
+  comet.tailSeed = Math.random() * 100;
+  return comet;
+}
+
+// free the GL resources of the current scene before another replaces it
+function disposeScene() {
+  const bodies = [...planets.flatMap((p) => [p, ...(p.moons || [])]), ...comets];
+  for (const b of bodies) {
+    gl.deleteTexture(b.glTexture);
+    gl.deleteBuffer(b.orbitBuffer);
+    if (!b.rings) continue;
+    for (const rd of b.rings) {
+      gl.deleteBuffer(rd.posBuffer);
+      gl.deleteBuffer(rd.uvBuffer);
+      gl.deleteBuffer(rd.indexBuffer);
+      gl.deleteTexture(rd.glTexture);
+    }
+    gl.deleteTexture(b.ringShadowTex);
+  }
+  if (sun && sun.glTexture) gl.deleteTexture(sun.glTexture);
+  planets.length = 0;
+  comets.length = 0;
+}
+
+// keep a moon's orbit shape but use an exaggerated visual radius; the true
+// scale puts it back at its real distance
+function moonVisualRadius(m) {
+  return layoutMix(m.visualDist + m.parent.baseSize * 0.6, m.orbit.a * distanceScale);
+}
+
+// rings sit in the equatorial plane (optionally tilted) and don't spin
+function placeRings(p) {
+  const s = p.visualSize;
+  for (const rd of p.rings) {
+    mat4.fromTranslation(rd.model, p.worldPos);
+    mat4.multiply(rd.model, rd.model, p.orientation);
+    if (rd.tilt) mat4.rotateX(rd.model, rd.model, rd.tilt * DEG);
+    mat4.scale(rd.model, rd.model, [s, s, s]);
+  }
+}
+
+// place every planet and moon for the given time (days since J2000)
+const _orbitTmp = vec3.create();
+function updateBodyPositions(days) {
+  setBodyModel(sun, days);
+  for (const p of planets) {
+    orbitPosition(p.orbit, meanAnomalyAt(p, days), _orbitTmp);
+    const orbitRadius = p.orbit.a * distanceScale;
+    vec3.scale(p.helioPos, _orbitTmp, p.orbit.a);
+    toScene(p.worldPos, p.helioPos);
+    setBodyModel(p, days);
+    if (p.rings) placeRings(p);
+    mat4.fromScaling(p.orbitModel, [orbitRadius, orbitRadius, orbitRadius]);
+
+    if (p.moons) {
+      for (const m of p.moons) {
+        const moonRadius = moonVisualRadius(m);
+        orbitPosition(m.orbit, meanAnomalyAt(m, days), _orbitTmp);
+        vec3.scaleAndAdd(m.helioPos, p.helioPos, _orbitTmp, m.orbit.a);
+        vec3.scaleAndAdd(m.worldPos, p.worldPos, _orbitTmp, moonRadius);
+        setBodyModel(m, days);
+        // the moon's orbit travels with its parent
+        mat4.fromTranslation(m.orbitModel, p.worldPos);
+        mat4.scale(m.orbitModel, m.orbitModel, [moonRadius, moonRadius, moonRadius]);
+      }
+    }
+  }
+  for (const c of comets) {
+    const M = meanAnomalyAt(c, days);
+    orbitPosition(c.orbit, M, _orbitTmp);
+    const orbitRadius = c.orbit.a * distanceScale;
+    vec3.scale(c.helioPos, _orbitTmp, c.orbit.a);
+    toScene(c.worldPos, c.helioPos);
+    orbitVelocity(c.orbit, M, (2 * Math.PI) / c.period, c.helioVel);
+    vec3.scale(c.helioVel, c.helioVel, c.orbit.a);
+    setBodyModel(c, days);
+    mat4.fromScaling(c.orbitModel, [orbitRadius, orbitRadius, orbitRadius]);
+  }
+}
+
+// --- scale modes ---
+// Visual is the hand-tuned layout: scene scales, minimum sizes and spread-out
+// moons. Log squeezes distances from the star so the inner planets and the
+// Kuiper belt fit in one view. True keeps Visual's AU scale but gives every
+// body its real radius and every moon its real distance. Switching animates
+// the two blends, so bodies shrink and slide into place.
+const SCALE_MODES = {
+  visual: { log: 0, real: 0 },
+  log: { log: 1, real: 0 },
+  true: { log: 0, real: 1 },
+};
+const SCALE_TRANSITION_MS = 2000;
+const LOG_KNEE_AU = 0.1; // distances well inside this stay about linear
+const LOG_PIVOT_AU = 30; // the log layout leaves this distance where it is
+const EARTH_RADIUS_KM = 6371;
+const SUN_RADIUS_KM = 695700;
+const scaleLayout = { mode: 'visual', log: 0, real: 0, transition: null };
+const scaleSelect = document.getElementById('scaleSelect');
+
+// same function on the GPU: rel is the offset from the star in scene units
+const WARP_GLSL = `
+uniform vec3 uWarp; // blend, knee, gain (scene units)
+vec3 warp(vec3 rel) {
+  float d = length(rel);
+  if (uWarp.x <= 0.0 || d <= 0.0) return rel;
+  return rel * mix(1.0, uWarp.z * log(1.0 + d / uWarp.y) / d, uWarp.x);
+}
+`;
+
+function trueRadius(km) {
+  return (km / AU_KM) * distanceScale;
+}
+
+// geometric blend from the visual value to the true one, so the shrink
+// doesn't spend the whole animation near the large end
+function layoutMix(visual, real) {
+  return visual * Math.pow(real / visual, scaleLayout.real);
+}
+
+function warpParams() {
+  const knee = LOG_KNEE_AU * distanceScale;
+  const gain = (LOG_PIVOT_AU * distanceScale) / Math.log(1 + LOG_PIVOT_AU / LOG_KNEE_AU);
+  return [scaleLayout.log, knee, gain];
+}
+
+// factor the current layout scales a distance from the star by (scene units)
+function warpScale(d) {
+  if (scaleLayout.log <= 0 || d <= 0) return 1;
+  const [blend, knee, gain] = warpParams();
+  return 1 + ((gain * Math.log(1 + d / knee)) / d - 1) * blend;
+}
+
+function setWarpUniform(loc, on = true) {
+  const [blend, knee, gain] = warpParams();
+  gl.uniform3f(loc, on ? blend : 0, knee, gain);
+}
+
+// heliocentric AU -> scene position in the current layout
+function toScene(out, helio) {
+  vec3.sub(out, helio, sun.helioPos);
+  vec3.scale(out, out, distanceScale);
+  return vec3.scaleAndAdd(out, sun.worldPos, out, warpScale(vec3.length(out)));
+}
+
+function setScaleMode(mode, animate = true) {
+  if (!SCALE_MODES[mode] || mode === scaleLayout.mode) return;
+  scaleLayout.mode = mode;
+  scaleLayout.transition = {
+    from: { log: scaleLayout.log, real: scaleLayout.real },
+    to: SCALE_MODES[mode],
+    start: frameClock - (animate ? 0 : SCALE_TRANSITION_MS),
+  };
+  // without the animation the bodies take their new sizes right away, so a
+  // camera distance set straight after is kept as it is
+  if (!animate) updateScaleLayout(frameClock);
+  if (scaleSelect) scaleSelect.value = mode;
+}
+
+function updateScaleLayout(now) {
+  const t = scaleLayout.transition;
+  if (!t) return;
+  const k = Math.min(1, (now - t.start) / SCALE_TRANSITION_MS);
+  const e = easeInOutCubic(k);
+  scaleLayout.log = t.from.log + (t.to.log - t.from.log) * e;
+  scaleLayout.real = t.from.real + (t.to.real - t.from.real) * e;
+  if (k >= 1) scaleLayout.transition = null;
+  applyScaleLayout();
+}
+
+// resize every body for the current blend; a locked camera keeps its framing
+function applyScaleLayout() {
+  if (!sun) return;
+  const bodies = [sun, ...planets.flatMap((p) => [p, ...(p.moons || [])]), ...comets];
+  for (const b of bodies) {
+    const before = b.visualSize;
+    b.visualSize = layoutMix(b.baseSize, b.trueSize);
+    if (b !== lockedPlanet) continue;
+    const ratio = b.visualSize / before;
+    radiusCam *= ratio;
+    targetRadius *= ratio;
+    if (flight) {
+      flight.fromRadius *= ratio;
+      flight.toRadius *= ratio;
+    }
+  }
+}
+
+if (scaleSelect) {
+  scaleSelect.addEventListener('change', (e) => setScaleMode(e.target.value));
+}
+
+// --- asteroid belts (GPU point sprites) ---
+// Each asteroid is a set of orbital elements uploaded once; the vertex shader
+// solves Kepler's equation for the current date, so nothing is re-uploaded per
+// frame and belts can hold hundreds of thousands of particles.
+const ASTEROID_DAY_BLOCK = 4096; // days; the date reaches the shader in blocks this long
+const vsAst = `
+attribute vec3 aP;     // perihelion direction * a (AU, scene axes)
+attribute vec3 aQ;     // in-plane direction 90 deg ahead * b (AU, scene axes)
+attribute vec4 aOrbit; // e, M0 (rad), mean motion (rad/day), point size (px)
+attribute vec3 aColor;
+uniform mat4 uVP;
+uniform vec3 uDays; // days since J2000 as blocks of ASTEROID_DAY_BLOCK, days and fraction
+uniform float uDistanceScale;
+uniform vec3 uCenter;
+uniform float uPointScale;
+varying vec3 vColor;
+${WARP_GLSL}
+${LOG_DEPTH_VS}
+void main() {
+  float e = aOrbit.x;
+  // a float can't hold the date finely far from J2000, so each part turns
+  // into an angle on its own; rounding then only shifts M between blocks
+  float M = aOrbit.y + mod(mod(aOrbit.z * ${ASTEROID_DAY_BLOCK}.0, 6.2831853) * uDays.x, 6.2831853) +
+    mod(aOrbit.z * uDays.y, 6.2831853) + aOrbit.z * uDays.z;
+  // Danby's starting guess keeps Newton's method stable up to high eccentricities
+  float E = M + 0.85 * e * sign(sin(M));
+  for (int k = 0; k < 6; k++) {
+    E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+  }
+  vec3 pos = aP * (cos(E) - e) + aQ * sin(E);
+  vColor = aColor;
+  gl_Position = logDepth(uVP * vec4(uCenter + warp(pos * uDistanceScale), 1.0));
+  gl_PointSize = aOrbit.w * uPointScale;
+}
+`;
+
+const fsAst = `${LOG_DEPTH_EXTENSION}
+precision mediump float;
+uniform float uAlpha;
+varying vec3 vColor;
+${LOG_DEPTH_FS}
+void main() {
+  writeLogDepth();
+  // circular disc inside the point
+  vec2 coord = gl_PointCoord - 0.5;
+  float r = length(coord);
+  if (r > 0.5) discard;
+  float alpha = smoothstep(0.5, 0.45, r) * uAlpha;
+  gl_FragColor = vec4(vColor, alpha);
+}
+`;
+
+const vshAst = createShader(gl.VERTEX_SHADER, vsAst);
+const fshAst = createShader(gl.FRAGMENT_SHADER, fsAst);
+const astProgram = gl.createProgram();
+gl.attachShader(astProgram, vshAst);
+gl.attachShader(astProgram, fshAst);
+gl.linkProgram(astProgram);
+let astLinked = true;
+if (!gl.getProgramParameter(astProgram, gl.LINK_STATUS)) {
+  console.error('Asteroid program link error:', gl.getProgramInfoLog(astProgram));
+  astLinked = false;
+}
+if (!astLinked) {
+  // if asteroid program failed, skip asteroid rendering
+  console.warn('Asteroid rendering disabled due to shader/link error');
+}
+const aPAst = gl.getAttribLocation(astProgram, 'aP');
+const aQAst = gl.getAttribLocation(astProgram, 'aQ');
+const aOrbitAst = gl.getAttribLocation(astProgram, 'aOrbit');
+const aColorAst = gl.getAttribLocation(astProgram, 'aColor');
+const uVPAst = gl.getUniformLocation(astProgram, 'uVP');
+const uDaysAst = gl.getUniformLocation(astProgram, 'uDays');
+const uDistanceScaleAst = gl.getUniformLocation(astProgram, 'uDistanceScale');
+const uWarpAst = gl.getUniformLocation(astProgram, 'uWarp');
+const uCenterAst = gl.getUniformLocation(astProgram, 'uCenter');
+const uPointScale = gl.getUniformLocation(astProgram, 'uPointScale');
+const uAlphaAst = gl.getUniformLocation(astProgram, 'uAlpha');
+
+const ASTEROID_STRIDE = 13; // floats per asteroid: P (3), Q (3), orbit (4), color (3)
+const astBuffer = gl.createBuffer();
+const astCountSelect = document.getElementById('asteroidCountSelect');
+let sceneBelts = [];
+let astCount = 0;
+let astCountOverride = null; // total chosen in the UI; null = the scene's counts
+
+// Jupiter's main-belt resonances as [p, q, depth]: an asteroid making p orbits
+// per q of the planet's gets kicked out, leaving the Kirkwood gaps
+const KIRKWOOD_RESONANCES = [[4, 1, 0.6], [3, 1, 0.95], [5, 2, 0.9], [7, 3, 0.7], [2, 1, 0.95]];
+const KIRKWOOD_GAP_WIDTH = 0.012; // AU (gaussian sigma)
+
+function gaussianRandom() {
+  return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// probability of keeping an asteroid at semi-major axis a given a belt's gaps
+function gapSurvival(gaps, a) {
+  let keep = 1;
+  for (const g of gaps) {
+    const d = (a - g.a) / KIRKWOOD_GAP_WIDTH;
+    keep *= 1 - g.depth * Math.exp(-0.5 * d * d);
+  }
+  return keep;
+}
+
+// write one asteroid's elements into the interleaved buffer data
+const _astTmp = vec3.create();
+function writeAsteroid(data, index, el, meanMotion, color) {
+  const o = index * ASTEROID_STRIDE;
+  perifocalToScene(el, el.a, 0, _astTmp);
+  data.set(_astTmp, o);
+  perifocalToScene(el, 0, el.a * Math.sqrt(1 - el.e * el.e), _astTmp);
+  data.set(_astTmp, o + 3);
+  data[o + 6] = el.e;
+  data[o + 7] = el.M0 * DEG;
+  data[o + 8] = meanMotion;
+  data[o + 9] = 0.8 + Math.random() * 1.6; // point size in pixels
+  const k = 0.67 + Math.random() * 0.67;
+  for (let c = 0; c < 3; c++) data[o + 10 + c] = Math.min(1, color[c] * k);
+}
+
+// belt: { inner, outer (AU), count, inclination, eccentricity (max), color,
+// gapsFrom (planet carving Kirkwood gaps), perihelion ([min, max] AU, sets
+// e from a) } or { trojansOf, spread, ... }
+function sampleBelt(belt, count, data, start) {
+  const color = belt.color || [0.6, 0.6, 0.6];
+  const maxIncl = belt.inclination ?? 1.7;
+  const maxEcc = belt.eccentricity ?? 0.1;
+  const el = { a: 0, e: 0, i: 0, node: 0, argPeri: 0, M0: 0 };
+  const host = belt.trojansOf && planets.find((p) => p.name === belt.trojansOf);
+  const gapPlanet = belt.gapsFrom && planets.find((p) => p.name === belt.gapsFrom);
+  const gaps = gapPlanet
+    ? KIRKWOOD_RESONANCES.map(([p, q, depth]) => ({ a: gapPlanet.orbit.a * Math.pow(q / p, 2 / 3), depth }))
+    : [];
+  for (let k = 0; k < count; k++) {
+    el.e = Math.random() * maxEcc;
+    el.i = Math.min(maxIncl, Math.abs(gaussianRandom()) * maxIncl * 0.5);
+    el.node = Math.random() * 360;
+    el.argPeri = Math.random() * 360;
+    let meanMotion;
+    if (host) {
+      // clouds 60 deg ahead of (L4) and behind (L5) the planet, sharing its
+      // mean motion so they stay put relative to it
+      const h = host.orbit;
+      const side = Math.random() < 0.5 ? 60 : -60;
+      const lambda = h.node + h.argPeri + h.M0 + side + gaussianRandom() * (belt.spread ?? 10);
+      el.a = h.a * (1 + gaussianRandom() * 0.01);
+      el.M0 = lambda - el.node - el.argPeri;
+      meanMotion = (2 * Math.PI) / host.period;
+    } else {
+      do {
+        el.a = belt.inner + Math.random() * (belt.outer - belt.inner);
+      } while (gaps.length && Math.random() > gapSurvival(gaps, el.a));
+      el.M0 = Math.random() * 360;
+      if (belt.perihelion) {
+        // scattered objects: pick the perihelion and stretch the orbit to fit
+        const [qMin, qMax] = belt.perihelion;
+        el.e = Math.max(0, 1 - (qMin + Math.random() * (qMax - qMin)) / el.a);
+      }
+      // Kepler's third law around the scene's star
+      meanMotion = (2 * Math.PI) / keplerPeriod(el.a, sun.massKg);
+    }
+    writeAsteroid(data, start + k, el, meanMotion, color);
+  }
+}
+
+// regenerate every belt, scaling the scene's counts to the UI total if set
+function rebuildAsteroids() {
+  const sceneTotal = sceneBelts.reduce((sum, b) => sum + b.count, 0);
+  const total = astCountOverride ?? sceneTotal;
+  const counts = sceneBelts.map((b) => (sceneTotal ? Math.round((b.count / sceneTotal) * total) : 0));
+  astCount = counts.reduce((sum, c) => sum + c, 0);
+  const data = new Float32Array(astCount * ASTEROID_STRIDE);
+  let start = 0;
+  sceneBelts.forEach((belt, k) => {
+    sampleBelt(belt, counts[k], data, start);
+    start += counts[k];
+  });
+  gl.bindBuffer(gl.ARRAY_BUFFER, astBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+  updateAsteroidCountOptions(sceneTotal);
+}
+
+function buildBelts(belts) {
+  sceneBelts = belts;
+  rebuildAsteroids();
+}
+
+function updateAsteroidCountOptions(sceneTotal) {
+  if (!astCountSelect) return;
+  const sceneOption = astCountSelect.querySelector('option[value="scene"]');
+  if (sceneOption) sceneOption.textContent = `Asteroids: scene (${formatNumber(sceneTotal)})`;
+}
+
+if (astCountSelect) {
+  astCountSelect.addEventListener('change', (e) => {
+    const v = e.target.value;
+    astCountOverride = v === 'scene' ? null : parseInt(v, 10);
+    if (sun) rebuildAsteroids();
+  });
+}
+
+function drawAsteroids(vpMat, days, dpr) {
+  if (!astLinked || !astCount) return;
+  gl.useProgram(astProgram);
+  gl.bindBuffer(gl.ARRAY_BUFFER, astBuffer);
+  const bytes = ASTEROID_STRIDE * 4;
+  const attribs = [
+    [aPAst, 3, 0],
+    [aQAst, 3, 3],
+    [aOrbitAst, 4, 6],
+    [aColorAst, 3, 10],
+  ];
+  for (const [loc, size, offset] of attribs) {
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, gl.FLOAT, false, bytes, offset * 4);
+  }
+
+  gl.uniformMatrix4fv(uVPAst, false, vpMat);
+  const blocks = Math.floor(days / ASTEROID_DAY_BLOCK);
+  const inBlock = days - blocks * ASTEROID_DAY_BLOCK;
+  gl.uniform3f(uDaysAst, blocks, Math.floor(inBlock), inBlock - Math.floor(inBlock));
+  gl.uniform1f(uDistanceScaleAst, distanceScale);
+  gl.uniform3fv(uCenterAst, relPoint(sun.worldPos));
+  setWarpUniform(uWarpAst);
+  // scale point size with DPI and a small camera-distance compensation
+  gl.uniform1f(uPointScale, dpr * Math.min(3, Math.max(0.6, 120.0 / radiusCam)));
+  // thin the points out as the count grows so dense belts don't turn solid
+  gl.uniform1f(uAlphaAst, Math.min(1, Math.max(0.2, Math.sqrt(20000 / astCount))));
+
+  // blending for soft points; they don't hide each other
+  gl.depthMask(false);
+  gl.drawArrays(gl.POINTS, 0, astCount);
+  gl.depthMask(true);
+
+  // leave only the main program's attributes enabled
+  for (const [loc] of attribs) {
+    if (loc !== aPosition && loc !== aNormal && loc !== aUV) gl.disableVertexAttribArray(loc);
+  }
+  gl.useProgram(program);
+}
+
+// --- comet tails (GPU particles) ---
+// One static buffer of particles is shared by every comet. Each particle loops
+// from the nucleus out along its tail; per-comet uniforms point the tails and
+// scale them with the comet's activity, so nothing is uploaded per frame.
+const vsTail = `
+attribute vec4 aParticle; // phase (0..1), kind (0 ion, 1 dust, 2 coma), speed (loops/s), size (px)
+attribute vec3 aOffset;   // random spread direction
+uniform mat4 uVP;
+uniform vec3 uNucleus;
+uniform vec3 uAntiSun;    // unit vector away from the star
+uniform vec3 uTrail;      // unit vector behind the comet, across the anti-sun line
+uniform vec3 uLengths;    // ion length, dust length, coma radius (scene units)
+uniform float uTime;
+uniform float uSeed;
+uniform float uActivity;
+uniform float uPointScale;
+varying vec4 vColor;
+${LOG_DEPTH_VS}
+void main() {
+  // how far along its tail the particle is, 0 at the nucleus
+  float s = fract(aParticle.x + (uTime + uSeed) * aParticle.z);
+  vec3 pos;
+  if (aParticle.y < 0.5) {
+    // ion tail: gas carried straight out by the solar wind, narrow and blue
+    pos = uAntiSun * (s * uLengths.x) + aOffset * (uLengths.x * (0.01 + 0.03 * s));
+    vColor = vec4(0.45, 0.65, 1.0, 1.0 - s);
+  } else if (aParticle.y < 1.5) {
+    // dust tail: pushed out by sunlight but slower than the gas, so it lags
+    // behind along the orbit, curving and fanning out
+    vec3 along = uAntiSun * s + uTrail * (s * s * 0.6);
+    pos = along * uLengths.y + aOffset * (uLengths.y * (0.02 + 0.1 * s));
+    vColor = vec4(1.0, 0.9, 0.7, (1.0 - s) * (1.0 - s));
+  } else {
+    // coma: gas streaming out of the nucleus in every direction
+    pos = aOffset * (s * uLengths.z);
+    vColor = vec4(0.85, 0.95, 1.0, 1.0 - s);
+  }
+  vColor.a *= uActivity;
+  gl_Position = logDepth(uVP * vec4(uNucleus + pos, 1.0));
+  gl_PointSize = aParticle.w * uPointScale;
+}
+`;
+
+const fsTail = `${LOG_DEPTH_EXTENSION}
+precision mediump float;
+varying vec4 vColor;
+${LOG_DEPTH_FS}
+void main() {
+  writeLogDepth();
+  // soft round glow
+  vec2 coord = gl_PointCoord - 0.5;
+  float glow = exp(-dot(coord, coord) * 16.0);
+  gl_FragColor = vec4(vColor.rgb, vColor.a * glow);
+}
+`;
+
+const tailProgram = gl.createProgram();
+gl.attachShader(tailProgram, createShader(gl.VERTEX_SHADER, vsTail));
+gl.attachShader(tailProgram, createShader(gl.FRAGMENT_SHADER, fsTail));
+gl.linkProgram(tailProgram);
+const tailLinked = gl.getProgramParameter(tailProgram, gl.LINK_STATUS);
+if (!tailLinked) {
+  console.error('Comet tail program link error:', gl.getProgramInfoLog(tailProgram));
+  console.warn('Comet tails disabled due to shader/link error');
+}
+const aParticleTail = gl.getAttribLocation(tailProgram, 'aParticle');
+const aOffsetTail = gl.getAttribLocation(tailProgram, 'aOffset');
+const uVPTail = gl.getUniformLocation(tailProgram, 'uVP');
+const uNucleusTail = gl.getUniformLocation(tailProgram, 'uNucleus');
+const uAntiSunTail = gl.getUniformLocation(tailProgram, 'uAntiSun');
+const uTrailTail = gl.getUniformLocation(tailProgram, 'uTrail');
+const uLengthsTail = gl.getUniformLocation(tailProgram, 'uLengths');
+const uTimeTail = gl.getUniformLocation(tailProgram, 'uTime');
+const uSeedTail = gl.getUniformLocation(tailProgram, 'uSeed');
+const uActivityTail = gl.getUniformLocation(tailProgram, 'uActivity');
+const uPointScaleTail = gl.getUniformLocation(tailProgram, 'uPointScale');
+
+// particles per comet as [kind, count, speed range (loops/s), size range (px)]
+const TAIL_PARTICLES = [
+  [0, 1200, [0.25, 0.5], [1.5, 3]],
+  [1, 2400, [0.06, 0.15], [2, 4]],
+  [2, 400, [0.3, 0.6], [2, 4]],
+];
+const TAIL_STRIDE = 7; // floats per particle: particle (4), offset (3)
+const tailBuffer = gl.createBuffer();
+let tailCount = 0;
+{
+  tailCount = TAIL_PARTICLES.reduce((sum, [, count]) => sum + count, 0);
+  const data = new Float32Array(tailCount * TAIL_STRIDE);
+  const lerp = ([lo, hi]) => lo + Math.random() * (hi - lo);
+  let o = 0;
+  for (const [kind, count, speed, size] of TAIL_PARTICLES) {
+    for (let k = 0; k < count; k++, o += TAIL_STRIDE) {
+      data[o] = Math.random();
+      data[o + 1] = kind;
+      // whole thousandths of a loop per second, so uTime can wrap every
+      // 1000 s without the particles jumping
+      data[o + 2] = Math.round(lerp(speed) * 1000) / 1000;
+      data[o + 3] = lerp(size);
+      for (let c = 0; c < 3; c++) data[o + 4 + c] = gaussianRandom() * 0.5;
+    }
+  }
+  gl.bindBuffer(gl.ARRAY_BUFFER, tailBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+}
+
+// how strongly a comet outgasses at r AU from the star: sunlight falls off
+// as 1/r^2 and the ices barely sublimate beyond 3-5 AU
+function cometActivity(r) {
+  const t = Math.min(1, Math.max(0, (5 - r) / 2.5));
+  return Math.min(3, 1 / (r * r)) * t * t * (3 - 2 * t);
+}
+
+const _antiSun = vec3.create();
+const _trail = vec3.create();
+function drawCometTails(vpMat, dpr) {
+  if (!tailLinked || !comets.length) return;
+  gl.useProgram(tailProgram);
+  gl.bindBuffer(gl.ARRAY_BUFFER, tailBuffer);
+  gl.enableVertexAttribArray(aParticleTail);
+  gl.vertexAttribPointer(aParticleTail, 4, gl.FLOAT, false, TAIL_STRIDE * 4, 0);
+  gl.enableVertexAttribArray(aOffsetTail);
+  gl.vertexAttribPointer(aOffsetTail, 3, gl.FLOAT, false, TAIL_STRIDE * 4, 16);
+  gl.uniformMatrix4fv(uVPTail, false, vpMat);
+  gl.uniform1f(uTimeTail, (frameClock / 1000) % 1000);
+  gl.uniform1f(uPointScaleTail, dpr * Math.min(3, Math.max(0.6, 120.0 / radiusCam)));
+
+  // glowing gas: add light, don't hide anything
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+  gl.depthMask(false);
+  for (const c of comets) {
+    vec3.sub(_antiSun, c.helioPos, sun.helioPos);
+    const r = vec3.length(_antiSun);
+    const activity = cometActivity(r);
+    if (activity < 0.005) continue;
+    vec3.scale(_antiSun, _antiSun, 1 / r);
+    // the part of the backwards velocity that's across the anti-sun line
+    vec3.negate(_trail, c.helioVel);
+    vec3.scaleAndAdd(_trail, _trail, _antiSun, -vec3.dot(_trail, _antiSun));
+    vec3.normalize(_trail, _trail);
+    const grow = Math.min(1.6, Math.sqrt(activity));
+    // the log layout squeezes the tail as much as the space around the comet
+    const squeeze = warpScale(r * distanceScale);
+    gl.uniform3fv(uNucleusTail, relPoint(c.worldPos));
+    gl.uniform3fv(uAntiSunTail, _antiSun);
+    gl.uniform3fv(uTrailTail, _trail);
+    gl.uniform3f(
+      uLengthsTail,
+      c.tail.ion * grow * distanceScale * squeeze,
+      c.tail.dust * grow * distanceScale * squeeze,
+      c.visualSize * (2 + 3 * grow)
+    );
+    gl.uniform1f(uSeedTail, c.tailSeed);
+    gl.uniform1f(uActivityTail, Math.min(1, activity) * 0.6);
+    gl.drawArrays(gl.POINTS, 0, tailCount);
+  }
+  gl.depthMask(true);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+  for (const loc of [aParticleTail, aOffsetTail]) {
+    if (loc !== aPosition && loc !== aNormal && loc !== aUV) gl.disableVertexAttribArray(loc);
+  }
+  gl.useProgram(program);
+}
+
+// --- scene files (JSON, see scenes/README.md) ---
+const DEFAULT_SCENE_URL = 'scenes/solar-system.json';
+const MAX_BELT_ASTEROIDS = 1000000; // static GPU buffer, 52 bytes per asteroid
+const sceneErrorsEl = document.getElementById('sceneErrors');
+const sceneErrorsTitleEl = document.getElementById('sceneErrorsTitle');
+const sceneErrorsListEl = document.getElementById('sceneErrorsList');
+const dropHintEl = document.getElementById('dropHint');
+
+// kind is what was being loaded: 'scene' or 'tour'
+function showSceneErrors(source, errors, kind = 'scene') {
+  console.error(`${kind[0].toUpperCase()}${kind.slice(1)} ${source} not loaded:\n${errors.join('\n')}`);
+  if (!sceneErrorsEl) return;
+  sceneErrorsTitleEl.textContent = `Could not load ${kind} ${source}`;
+  sceneErrorsListEl.textContent = '';
+  for (const err of errors) {
+    const li = document.createElement('li');
+    li.textContent = err;
+    sceneErrorsListEl.appendChild(li);
+  }
+  sceneErrorsEl.style.display = 'block';
+}
+
+function hideSceneErrors() {
+  if (sceneErrorsEl) sceneErrorsEl.style.display = 'none';
+}
+
+const STAR_KEYS = ['name', 'radius', 'color', 'texture', 'radiusKm', 'massKg', 'obliquity', 'rotationPeriod', 'pole'];
+const BODY_KEYS = [
+  'name', 'size', 'color', 'texture', 'radiusKm', 'massKg', 'period', 'orbit', 'obliquity',
+  'rotationPeriod', 'pole', 'tidallyLocked', 'rings', 'moons', 'relDist',
+];
+const ORBIT_KEYS = ['a', 'e', 'i', 'node', 'argPeri', 'M0'];
+const RING_KEYS = ['name', 'inner', 'outer', 'texture', 'profile', 'opacity', 'color', 'tilt'];
+const COMET_KEYS = [
+  'name', 'size', 'color', 'texture', 'radiusKm', 'massKg', 'period', 'orbit', 'obliquity', 'rotationPeriod', 'pole', 'tail',
+];
+const BELT_KEYS = [
+  'name', 'inner', 'outer', 'count', 'inclination', 'eccentricity', 'perihelion', 'color', 'gapsFrom', 'trojansOf', 'spread',
+];
+
+// check a parsed scene against the documented format; returns readable
+// problems like "bodies[2].orbit.e: must be at least 0 and below 1"
+function validateScene(scene) {
+  const errors = [];
+  const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  const at = (path, key) => (path ? `${path}.${key}` : key);
+
+  function checkKeys(obj, allowed, path) {
+    for (const key of Object.keys(obj)) {
+      if (!allowed.includes(key)) fail(at(path, key), 'unknown property');
+    }
+  }
+  // number with optional range: { min, max, above (exclusive min), below (exclusive max), integer }
+  function checkNumber(obj, key, path, opts = {}) {
+    const v = obj[key];
+    if (v === undefined) {
+      if (opts.required) fail(at(path, key), 'is required');
+      return;
+    }
+    const p = at(path, key);
+    if (!isNumber(v)) return fail(p, 'must be a number');
+    if (opts.integer && !Number.isInteger(v)) return fail(p, 'must be a whole number');
+    if (opts.above !== undefined && !(v > opts.above)) return fail(p, `must be greater than ${opts.above}`);
+    if (opts.min !== undefined && v < opts.min) return fail(p, `must be at least ${opts.min}`);
+    if (opts.max !== undefined && v > opts.max) return fail(p, `must be at most ${opts.max}`);
+    if (opts.below !== undefined && !(v < opts.below)) return fail(p, `must be below ${opts.below}`);
+  }
+  function checkString(obj, key, path, required = false) {
+    const v = obj[key];
+    if (v === undefined) {
+      if (required) fail(at(path, key), 'is required');
+    } else if (typeof v !== 'string' || !v.trim()) {
+      fail(at(path, key), 'must be a non-empty string');
+    }
+  }
+  function checkColor(obj, key, path, required = false) {
+    const v = obj[key];
+    if (v === undefined) {
+      if (required) fail(at(path, key), 'is required');
+    } else if (!Array.isArray(v) || v.length !== 3 || !v.every((c) => isNumber(c) && c >= 0 && c <= 1)) {
+      fail(at(path, key), 'must be [r, g, b] with each value from 0 to 1');
+    }
+  }
+  function checkSpin(obj, path) {
+    checkNumber(obj, 'obliquity', path);
+    checkNumber(obj, 'radiusKm', path, { above: 0 });
+    checkNumber(obj, 'massKg', path, { above: 0 });
+    if (obj.rotationPeriod !== undefined && obj.rotationPeriod === 0) fail(`${path}.rotationPeriod`, 'must not be 0');
+    else checkNumber(obj, 'rotationPeriod', path);
+    const pole = obj.pole;
+    if (pole !== undefined) {
+      if (!Array.isArray(pole) || pole.length !== 2 || !pole.every(isNumber)) {
+        fail(`${path}.pole`, 'must be [RA, Dec] in degrees');
+      } else if (Math.abs(pole[1]) > 90) {
+        fail(`${path}.pole`, 'declination must be from -90 to 90');
+      }
+    }
+  }
+  function checkRing(ring, path) {
+    if (!isObject(ring)) return fail(path, 'must be an object');
+    checkKeys(ring, RING_KEYS, path);
+    checkString(ring, 'name', path);
+    checkNumber(ring, 'inner', path, { required: true, above: 0 });
+    checkNumber(ring, 'outer', path, { required: true, above: 0 });
+    if (isNumber(ring.inner) && isNumber(ring.outer) && ring.outer <= ring.inner) {
+      fail(`${path}.outer`, 'must be greater than inner');
+    }
+    checkString(ring, 'texture', path);
+    checkNumber(ring, 'opacity', path, { min: 0, max: 1 });
+    checkColor(ring, 'color', path);
+    checkNumber(ring, 'tilt', path);
+    const profile = ring.profile;
+    if (profile === undefined) return;
+    if (!Array.isArray(profile) || profile.length < 2) return fail(`${path}.profile`, 'must be a list of at least two [r, density] stops');
+    profile.forEach((stop, k) => {
+      const sp = `${path}.profile[${k}]`;
+      if (!Array.isArray(stop) || stop.length !== 2 || !stop.every(isNumber)) return fail(sp, 'must be [r, density]');
+      if (stop[1] < 0 || stop[1] > 1) fail(sp, 'density must be from 0 to 1');
+      if (k > 0 && Array.isArray(profile[k - 1]) && stop[0] < profile[k - 1][0]) fail(sp, 'radii must not decrease');
+    });
+  }
+  function checkBody(body, path, parent, allowed = BODY_KEYS) {
+    if (!isObject(body)) return fail(path, 'must be an object');
+    checkKeys(body, allowed, path);
+    checkString(body, 'name', path, true);
+    checkNumber(body, 'size', path, { required: true, above: 0 });
+    checkColor(body, 'color', path, true);
+    checkString(body, 'texture', path);
+    checkNumber(body, 'period', path, { above: 0 });
+    checkSpin(body, path);
+    if (body.tidallyLocked !== undefined && typeof body.tidallyLocked !== 'boolean') {
+      fail(`${path}.tidallyLocked`, 'must be true or false');
+    }
+    if (!parent && body.relDist !== undefined) fail(`${path}.relDist`, 'only applies to moons');
+    checkNumber(body, 'relDist', path, { above: 0 });
+
+    if (!isObject(body.orbit)) {
+      fail(`${path}.orbit`, body.orbit === undefined ? 'is required' : 'must be an object');
+    } else {
+      const op = `${path}.orbit`;
+      checkKeys(body.orbit, ORBIT_KEYS, op);
+      checkNumber(body.orbit, 'a', op, { required: true, above: 0 });
+      checkNumber(body.orbit, 'e', op, { min: 0, below: 1 });
+      for (const key of ['i', 'node', 'argPeri', 'M0']) checkNumber(body.orbit, key, op);
+    }
+    // without a period the orbit needs the mass of whatever it goes around
+    if (body.period === undefined && parent && !isNumber(parent.massKg)) {
+      fail(`${path}.period`, `is required when ${parent.name || 'the parent'} has no massKg`);
+    }
+
+    if (body.rings !== undefined) {
+      if (!Array.isArray(body.rings)) fail(`${path}.rings`, 'must be a list');
+      else body.rings.forEach((r, k) => checkRing(r, `${path}.rings[${k}]`));
+    }
+    if (body.moons !== undefined) {
+      if (parent) fail(`${path}.moons`, 'moons cannot have moons');
+      else if (!Array.isArray(body.moons)) fail(`${path}.moons`, 'must be a list');
+      else body.moons.forEach((m, k) => checkBody(m, `${path}.moons[${k}]`, body));
+    }
+  }
+
+  if (!isObject(scene)) return ['the file must contain a JSON object'];
+  checkKeys(scene, ['name', 'description', 'distanceScale', 'sizeScale', 'star', 'bodies', 'comets', 'belts'], '');
+  checkString(scene, 'name', '');
+  checkString(scene, 'description', '');
+  checkNumber(scene, 'distanceScale', '', { above: 0 });
+  checkNumber(scene, 'sizeScale', '', { above: 0 });
+
+  if (!isObject(scene.star)) {
+    fail('star', scene.star === undefined ? 'is required' : 'must be an object');
+  } else {
+    checkKeys(scene.star, STAR_KEYS, 'star');
+    checkString(scene.star, 'name', 'star');
+    checkNumber(scene.star, 'radius', 'star', { required: true, above: 0 });
+    checkColor(scene.star, 'color', 'star', true);
+    checkString(scene.star, 'texture', 'star');
+    checkSpin(scene.star, 'star');
+  }
+
+  if (!Array.isArray(scene.bodies)) {
+    fail('bodies', scene.bodies === undefined ? 'is required' : 'must be a list');
+  } else {
+    scene.bodies.forEach((b, k) => checkBody(b, `bodies[${k}]`, null));
+  }
+
+  if (scene.comets !== undefined) {
+    if (!Array.isArray(scene.comets)) {
+      fail('comets', 'must be a list');
+    } else {
+      scene.comets.forEach((c, k) => {
+        const path = `comets[${k}]`;
+        checkBody(c, path, null, COMET_KEYS);
+        if (!isObject(c) || c.tail === undefined) return;
+        if (!isObject(c.tail)) return fail(`${path}.tail`, 'must be an object');
+        checkKeys(c.tail, ['ion', 'dust'], `${path}.tail`);
+        checkNumber(c.tail, 'ion', `${path}.tail`, { min: 0, max: 10 });
+        checkNumber(c.tail, 'dust', `${path}.tail`, { min: 0, max: 10 });
+      });
+    }
+  }
+
+  // names identify bodies in the UI, so they have to be unique
+  const seen = new Set(isObject(scene.star) && scene.star.name ? [scene.star.name] : []);
+  for (const list of ['bodies', 'comets']) {
+    if (!Array.isArray(scene[list])) continue;
+    for (const b of scene[list].flatMap((p) => (isObject(p) ? [p, ...(Array.isArray(p.moons) ? p.moons : [])] : []))) {
+      if (!isObject(b) || typeof b.name !== 'string') continue;
+      if (seen.has(b.name)) fail(list, `name "${b.name}" is used more than once`);
+      seen.add(b.name);
+    }
+  }
+
+  // belts refer to planets (not moons) by name
+  function checkPlanetName(obj, key, path) {
+    const names = Array.isArray(scene.bodies) ? scene.bodies.map((b) => isObject(b) && b.name) : [];
+    if (!names.includes(obj[key])) fail(at(path, key), `must be the name of one of the planets in bodies`);
+  }
+  if (scene.belts !== undefined) {
+    if (!Array.isArray(scene.belts)) {
+      fail('belts', 'must be a list');
+    } else {
+      let total = 0;
+      scene.belts.forEach((belt, k) => {
+        const path = `belts[${k}]`;
+        if (!isObject(belt)) return fail(path, 'must be an object');
+        checkKeys(belt, BELT_KEYS, path);
+        checkString(belt, 'name', path);
+        // Trojans follow their planet; other belts span inner..outer
+        if (belt.trojansOf !== undefined) {
+          checkPlanetName(belt, 'trojansOf', path);
+          if (belt.inner !== undefined || belt.outer !== undefined) fail(path, 'trojan belts take their distance from the planet, drop inner/outer');
+          checkNumber(belt, 'spread', path, { min: 0, max: 60 });
+        } else {
+          checkNumber(belt, 'inner', path, { required: true, above: 0 });
+          checkNumber(belt, 'outer', path, { required: true, above: 0 });
+          if (isNumber(belt.inner) && isNumber(belt.outer) && belt.outer < belt.inner) {
+            fail(`${path}.outer`, 'must not be less than inner');
+          }
+          if (belt.spread !== undefined) fail(`${path}.spread`, 'only applies to trojan belts');
+        }
+        if (belt.gapsFrom !== undefined) checkPlanetName(belt, 'gapsFrom', path);
+        checkNumber(belt, 'count', path, { required: true, integer: true, min: 0 });
+        checkNumber(belt, 'inclination', path, { min: 0, max: 90 });
+        checkNumber(belt, 'eccentricity', path, { min: 0, max: 0.9 });
+        const q = belt.perihelion;
+        if (q !== undefined) {
+          if (belt.trojansOf !== undefined) fail(`${path}.perihelion`, 'does not apply to trojan belts');
+          else if (!Array.isArray(q) || q.length !== 2 || !q.every((v) => isNumber(v) && v > 0) || q[1] < q[0]) {
+            fail(`${path}.perihelion`, 'must be [min, max] in AU with 0 < min <= max');
+          } else if (isNumber(belt.inner) && q[1] > belt.inner) {
+            fail(`${path}.perihelion`, 'must not reach beyond inner');
+          }
+        }
+        checkColor(belt, 'color', path);
+        if (isNumber(belt.count)) total += belt.count;
+      });
+      if (total > MAX_BELT_ASTEROIDS) fail('belts', `at most ${MAX_BELT_ASTEROIDS} asteroids in total (got ${total})`);
+    }
+  }
+  return errors;
+}
+
+// replace the current scene; on validation errors the old one stays up
+function loadScene(scene, source, baseUrl) {
+  const errors = validateScene(scene);
+  if (errors.length) {
+    showSceneErrors(source, errors);
+    return false;
+  }
+  setPhysicsEnabled(false);
+  disposeScene();
+  sceneBaseUrl = baseUrl;
+  distanceScale = scene.distanceScale ?? DEFAULT_DISTANCE_SCALE;
+  sizeScale = scene.sizeScale ?? DEFAULT_SIZE_SCALE;
+  sun = createStar(scene.star);
+  sunColor = scene.star.color;
+  for (const def of scene.bodies) planets.push(createBody(def, null));
+  for (const def of scene.comets || []) comets.push(createComet(def));
+  buildBelts(scene.belts || []);
+  clearTransfer();
+  stopTour();
+  // bodies from the old scene are gone; let the camera drift back to the star
+  lockedPlanet = null;
+  hoveredPlanet = null;
+  return true;
+}
+
+function loadSceneText(text, source, baseUrl) {
+  let scene;
+  try {
+    scene = JSON.parse(text);
+  } catch (err) {
+    showSceneErrors(source, [`not valid JSON (${err.message})`]);
+    return false;
+  }
+  return loadScene(scene, source, baseUrl);
+}
+
+// resolves to true when the scene at `url` (relative to the page) was loaded
+function fetchScene(url) {
+  const resolved = new URL(url, document.baseURI).href;
+  return fetch(resolved)
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    })
+    .then(
+      (text) => loadSceneText(text, url, resolved),
+      (err) => {
+        showSceneErrors(url, [`could not be fetched (${err.message})`]);
+        return false;
+      }
+    );
+}
+
+// drop a scene file anywhere on the page to swap it in; its texture paths
+// resolve against the page since a dropped file has no location of its own.
+// Tour files dropped the same way start playing.
+function isFileDrag(e) {
+  return e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+}
+window.addEventListener('dragover', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  if (dropHintEl) dropHintEl.style.display = 'flex';
+});
+window.addEventListener('dragleave', (e) => {
+  // leaving the window reports no related target
+  if (!e.relatedTarget && dropHintEl) dropHintEl.style.display = 'none';
+});
+window.addEventListener('drop', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  if (dropHintEl) dropHintEl.style.display = 'none';
+  const file = e.dataTransfer.files[0];
+  if (!file) return;
+  file.text().then((text) => {
+    // tours are told apart by their keyframes
+    let isTour = false;
+    try {
+      isTour = Array.isArray(JSON.parse(text).keyframes);
+    } catch {
+      // reported by loadSceneText
+    }
+    const ok = isTour ? loadTourText(text, file.name) : loadSceneText(text, file.name, document.baseURI);
+    if (ok) hideSceneErrors();
+  }).catch((err) => {
+    showSceneErrors(file.name, [`could not be read (${err.message})`]);
+  });
+});
+
+// --- grid (horizontal XZ plane) ---
+// simple unlit line shader to draw a grid on the XZ plane at y=0
+const vsGridSrc = `
+attribute vec3 aPosition;
+uniform mat4 uVP;
+uniform mat4 uModel;
+uniform vec3 uOrigin; // the eye, added back for the fade
+varying vec3 vWorldPos;
+${LOG_DEPTH_VS}
+void main() {
+  vec4 wp = uModel * vec4(aPosition, 1.0);
+  vWorldPos = wp.xyz + uOrigin;
+  gl_Position = logDepth(uVP * wp);
+}
+`;
+const fsGridSrc = `${LOG_DEPTH_EXTENSION}
+precision mediump float;
+varying vec3 vWorldPos;
+${LOG_DEPTH_FS}
+uniform vec3 uColor;
+uniform float uAlpha;
+uniform float uFadeStart; // distance where fade begins
+uniform float uFadeEnd;   // distance where fade reaches 0
+void main() {
+  writeLogDepth();
+  float r = length(vWorldPos.xz);
+  float fade = 1.0;
+  if (r > uFadeStart) {
+    fade = 1.0 - smoothstep(uFadeStart, uFadeEnd, r);
+  }
+  float outA = uAlpha * fade;
+  if (outA <= 0.001) discard;
+  gl_FragColor = vec4(uColor, outA);
+}
+`;
+const vshGrid = createShader(gl.VERTEX_SHADER, vsGridSrc);
+const fshGrid = createShader(gl.FRAGMENT_SHADER, fsGridSrc);
+const gridProgram = gl.createProgram();
+gl.attachShader(gridProgram, vshGrid);
+gl.attachShader(gridProgram, fshGrid);
+gl.linkProgram(gridProgram);
+if (!gl.getProgramParameter(gridProgram, gl.LINK_STATUS)) {
+  console.error('Grid program link error:', gl.getProgramInfoLog(gridProgram));
+}
+
+// grid buffer (positions only)
+const gridBuffer = gl.createBuffer();
+let gridVertexCount = 0;
+const gridModel = mat4.create(); // identity by default
+let gridVisible = true; // toggleable by UI
+// fade parameters (will be set relative to grid size)
+let gridFadeStart = 200.0;
+let gridFadeEnd = 400.0;
+
+// utility: build grid vertices for XZ plane centered at origin
+function buildGrid(size = 600, divisions = 40) {
+  const half = size * 0.5;
+  const step = size / divisions;
+  const verts = [];
+  // lines parallel to X (varying Z)
+  for (let i = 0; i <= divisions; i++) {
+    const z = -half + i * step;
+    verts.push(-half, 0, z, half, 0, z);
+  }
+  // lines parallel to Z (varying X)
+  for (let i = 0; i <= divisions; i++) {
+    const x = -half + i * step;
+    verts.push(x, 0, -half, x, 0, half);
+  }
+  const arr = new Float32Array(verts);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gridBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, arr, gl.STATIC_DRAW);
+  gridVertexCount = arr.length / 3;
+}
+let gridSize = 800;
+let gridDivisions = 64;
+buildGrid(gridSize, gridDivisions);
+
+// keep fade parameters in sync with grid size by default
+gridFadeStart = gridSize * 0.25;
+gridFadeEnd = gridSize * 0.5;
+
+// API: update/rebuild the grid at runtime. Call from console or hook a UI.
+function updateGrid(size, divisions) {
+  gridSize = typeof size === 'number' ? size : gridSize;
+  gridDivisions = typeof divisions === 'number' ? divisions : gridDivisions;
+  buildGrid(gridSize, gridDivisions);
+  // adjust fades if caller didn't supply explicit ones
+  gridFadeStart = gridSize * 0.25;
+  gridFadeEnd = gridSize * 0.5;
+}
+
+// convenience alias exposed for quick console tweaks: `setGrid(size, divisions)`
+window.setGrid = (size, divisions) => updateGrid(size, divisions);
 
 // convenience: set grid fade radii (in world units)
 window.setGridFade = (start, end) => {
@@ -780,62 +2348,2482 @@ window.setGridFade = (start, end) => {
   if (typeof end === 'number') gridFadeEnd = end;
 };
 
-// build an initial grid sized reasonably relative to typical camera
-// (grid already initialized above with `gridSize` / `gridDivisions`)
+// build an initial grid sized reasonably relative to typical camera
+// (grid already initialized above with `gridSize` / `gridDivisions`)
+
+// --- body information panel (opens while a body is locked) ---
+const AU_KM = 149597870.7;
+const G_KM = 6.6743e-20; // gravitational constant in km^3 / (kg s^2)
+const infoPanelEl = document.getElementById('infoPanel');
+const infoTitleEl = document.getElementById('infoTitle');
+const infoBodyEl = document.getElementById('infoBody');
+const infoMoonsEl = document.getElementById('infoMoons');
+const infoCloseBtn = document.getElementById('infoCloseBtn');
+let infoBody = null; // body the panel currently describes
+let infoDynamic = null; // value cells refreshed every frame
+
+if (infoCloseBtn) {
+  infoCloseBtn.addEventListener('click', () => {
+    lockedPlanet = null;
+  });
+}
+
+function formatNumber(v, digits = 0) {
+  return v.toLocaleString('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits });
+}
+
+// 5.972e24 -> "5.972 × 10^24"
+function formatMass(kg) {
+  const exp = Math.floor(Math.log10(kg));
+  return `${(kg / Math.pow(10, exp)).toFixed(3)} × 10^${exp} kg`;
+}
+
+function formatPeriod(days) {
+  if (days < 2) return `${formatNumber(days * 24, 2)} hours`;
+  if (days < 730) return `${formatNumber(days, 2)} days`;
+  return `${formatNumber(days / 365.256, 2)} years`;
+}
+
+function formatDistance(au) {
+  if (au < 0.01) return `${formatNumber(au * AU_KM)} km`;
+  return `${au.toFixed(3)} AU`;
+}
+
+// orbital speed from the vis-viva equation, v^2 = GM (2/r - 1/a), or from the
+// integrated state in physics mode
+function orbitalVelocity(body) {
+  if (!body.orbit) return 0;
+  if (nbody) {
+    const i = nbody.bodies.indexOf(body);
+    const c = nbody.bodies.indexOf(body.parent || sun);
+    if (i < 0 || c < 0) return 0;
+    const dv = [0, 1, 2].map((k) => nbody.vel[i * 3 + k] - nbody.vel[c * 3 + k]);
+    return (Math.hypot(dv[0], dv[1], dv[2]) * AU_KM) / 86400;
+  }
+  const central = body.parent || sun;
+  const GM = G_KM * (central.massKg + (body.massKg || 0));
+  const rAU = vec3.distance(body.helioPos, central.helioPos);
+  const r = rAU * AU_KM;
+  const a = body.orbit.a * AU_KM;
+  return Math.sqrt(Math.max(0, GM * (2 / r - 1 / a)));
+}
+
+function addInfoRow(label, value) {
+  const row = document.createElement('div');
+  row.className = 'infoRow';
+  const l = document.createElement('span');
+  l.textContent = label;
+  const v = document.createElement('span');
+  v.textContent = value;
+  row.append(l, v);
+  infoBodyEl.appendChild(row);
+  return v;
+}
+
+function addBodyLink(parentEl, body) {
+  const btn = document.createElement('button');
+  btn.textContent = body.name;
+  btn.addEventListener('click', () => {
+    lockedPlanet = body;
+  });
+  parentEl.appendChild(btn);
+}
+
+// rebuild the static part of the panel for a newly locked body
+function openInfoPanel(body) {
+  infoTitleEl.textContent = body.parent ? `${body.name} (moon of ${body.parent.name})` : body.name;
+  infoBodyEl.textContent = '';
+  infoMoonsEl.textContent = '';
+  // scene files may leave the physical data out
+  if (body.radiusKm) addInfoRow('Radius', `${formatNumber(body.radiusKm, body.radiusKm < 100 ? 1 : 0)} km`);
+  if (body.massKg) addInfoRow('Mass', formatMass(body.massKg));
+  if (body.orbit) {
+    addInfoRow('Orbital period', formatPeriod(body.period));
+    addInfoRow('Semi-major axis', formatDistance(body.orbit.a));
+  }
+  if (body.isCraft && transfer) {
+    addInfoRow('Transfer', `${transfer.origin.name} → ${transfer.destination.name}`);
+    addInfoRow('Departure', formatDate(transfer.depJD));
+    addInfoRow('Arrival', formatDate(transfer.arrJD));
+  }
+  if (body.isComet) {
+    addInfoRow('Perihelion', formatDistance(body.orbit.a * (1 - body.orbit.e)));
+    addInfoRow('Eccentricity', body.orbit.e.toFixed(4));
+  }
+  const earth = planets.find((p) => p.name === 'Earth');
+  infoDynamic = {
+    sun: body.isSun ? null : addInfoRow(`Distance from ${sun.name}`, ''),
+    earth: !earth || body === earth ? null : addInfoRow('Distance from Earth', ''),
+    velocity: body.orbit ? addInfoRow('Orbital velocity', '') : null,
+    earthBody: earth,
+  };
+
+  // children: planets and comets for the Sun, moons for a planet, the parent
+  // for a moon
+  const children = body.isSun ? planets : body.moons || [];
+  if (body.parent) {
+    const h = document.createElement('div');
+    h.textContent = 'Orbits';
+    infoMoonsEl.appendChild(h);
+    addBodyLink(infoMoonsEl, body.parent);
+  } else if (!body.isComet && !body.isCraft) {
+    const h = document.createElement('div');
+    h.textContent = body.isSun ? `Planets: ${children.length}` : `Moons: ${children.length}`;
+    infoMoonsEl.appendChild(h);
+    for (const c of children) addBodyLink(infoMoonsEl, c);
+    if (body.isSun && comets.length) {
+      const ch = document.createElement('div');
+      ch.textContent = `Comets: ${comets.length}`;
+      infoMoonsEl.appendChild(ch);
+      for (const c of comets) addBodyLink(infoMoonsEl, c);
+    }
+  }
+  infoPanelEl.style.display = 'block';
+}
+
+// called every frame: follows the lock and refreshes the live values
+function updateInfoPanel() {
+  if (!infoPanelEl) return;
+  if (lockedPlanet !== infoBody) {
+    infoBody = lockedPlanet;
+    if (infoBody) openInfoPanel(infoBody);
+    else infoPanelEl.style.display = 'none';
+  }
+  if (!infoBody) return;
+  const d = infoDynamic;
+  if (d.sun) d.sun.textContent = formatDistance(vec3.distance(infoBody.helioPos, sun.helioPos));
+  if (d.earth) d.earth.textContent = formatDistance(vec3.distance(infoBody.helioPos, d.earthBody.helioPos));
+  if (d.velocity) d.velocity.textContent = `${orbitalVelocity(infoBody).toFixed(2)} km/s`;
+}
+
+// --- orbit paths (line loops tinted with each body's color) ---
+const vsLineSrc = `
+attribute vec3 aPosition;
+uniform mat4 uVP;
+uniform mat4 uModel;
+uniform vec3 uCenter; // the star, for the log layout
+${WARP_GLSL}
+${LOG_DEPTH_VS}
+void main() {
+  vec3 p = (uModel * vec4(aPosition, 1.0)).xyz;
+  gl_Position = logDepth(uVP * vec4(uCenter + warp(p - uCenter), 1.0));
+}
+`;
+const fsLineSrc = `${LOG_DEPTH_EXTENSION}
+precision mediump float;
+uniform vec3 uColor;
+uniform float uAlpha;
+${LOG_DEPTH_FS}
+void main() {
+  writeLogDepth();
+  gl_FragColor = vec4(uColor, uAlpha);
+}
+`;
+const vshLine = createShader(gl.VERTEX_SHADER, vsLineSrc);
+const fshLine = createShader(gl.FRAGMENT_SHADER, fsLineSrc);
+const lineProgram = gl.createProgram();
+gl.attachShader(lineProgram, vshLine);
+gl.attachShader(lineProgram, fshLine);
+gl.linkProgram(lineProgram);
+if (!gl.getProgramParameter(lineProgram, gl.LINK_STATUS)) {
+  console.error('Orbit line program link error:', gl.getProgramInfoLog(lineProgram));
+}
+const aPosLine = gl.getAttribLocation(lineProgram, 'aPosition');
+const uVPLine = gl.getUniformLocation(lineProgram, 'uVP');
+const uModelLine = gl.getUniformLocation(lineProgram, 'uModel');
+const uColorLine = gl.getUniformLocation(lineProgram, 'uColor');
+const uAlphaLine = gl.getUniformLocation(lineProgram, 'uAlpha');
+const uCenterLine = gl.getUniformLocation(lineProgram, 'uCenter');
+const uWarpLine = gl.getUniformLocation(lineProgram, 'uWarp');
+let orbitsVisible = true; // toggleable by UI
+
+function drawOrbitPath(body) {
+  if (body.orbitHidden) return; // unbound in physics mode
+  const highlighted = body === hoveredPlanet || body === lockedPlanet;
+  // lift the tint towards white and make it opaque when hovered/locked
+  const c = body.color;
+  const k = highlighted ? 0.45 : 0.0;
+  gl.uniform3f(uColorLine, c[0] + (1 - c[0]) * k, c[1] + (1 - c[1]) * k, c[2] + (1 - c[2]) * k);
+  gl.uniform1f(uAlphaLine, highlighted ? 0.9 : 0.3);
+  // moon orbits ride along with their planet, so only star-centred ones are squeezed
+  setWarpUniform(uWarpLine, !body.parent);
+  gl.uniformMatrix4fv(uModelLine, false, relModel(body.orbitModel));
+  gl.bindBuffer(gl.ARRAY_BUFFER, body.orbitBuffer);
+  gl.vertexAttribPointer(aPosLine, 3, gl.FLOAT, false, 0, 0);
+  gl.drawArrays(gl.LINE_LOOP, 0, ORBIT_SEGMENTS);
+}
+
+function drawOrbits(vpMat) {
+  if (!orbitsVisible) return;
+  gl.useProgram(lineProgram);
+  gl.uniformMatrix4fv(uVPLine, false, vpMat);
+  gl.uniform3fv(uCenterLine, relPoint(sun.worldPos));
+  gl.enableVertexAttribArray(aPosLine);
+  // translucent lines: test against bodies but don't occlude each other
+  gl.depthMask(false);
+  for (const p of planets) {
+    drawOrbitPath(p);
+    if (p.moons) {
+      for (const m of p.moons) drawOrbitPath(m);
+    }
+  }
+  for (const c of comets) drawOrbitPath(c);
+  gl.depthMask(true);
+
+  // restore main program
+  gl.useProgram(program);
+}
+
+// --- N-body physics mode ---
+// Optional alternative to the Kepler orbits: every body with a mass pulls on
+// every other one and the system is integrated with a fixed step, whatever the
+// frame rate. Bodies without massKg move but pull on nothing (test particles).
+// State is in AU and AU/day, scene axes, relative to the star's J2000 place.
+const GM_PER_KG = (G_KM * 86400 * 86400) / (AU_KM * AU_KM * AU_KM); // G in AU^3 / (kg day^2)
+const NBODY_SOFTENING2 = 1e-14; // AU^2 (~15 km), keeps close passes finite
+const NBODY_FRAME_BUDGET_MS = 12; // integration time per frame before the sim slows down
+const MASS_PRESETS = { moon: 7.342e22, earth: 5.9722e24, jupiter: 1.89819e27, star: 0.1 * SOLAR_MASS_KG };
+const physicsToggleBtn = document.getElementById('physicsToggleBtn');
+const physicsPanelEl = document.getElementById('physicsPanel');
+const integratorSelect = document.getElementById('integratorSelect');
+const physicsStepSelect = document.getElementById('physicsStepSelect');
+const energyDriftEl = document.getElementById('energyDrift');
+const momentumDriftEl = document.getElementById('momentumDrift');
+const angularDriftEl = document.getElementById('angularDrift');
+const physicsStatusEl = document.getElementById('physicsStatus');
+
+let physicsEnabled = false;
+let integrator = integratorSelect ? integratorSelect.value : 'verlet';
+let physicsStep = physicsStepSelect ? parseFloat(physicsStepSelect.value) : 0.005; // days
+let nbody = null; // integrator state while physics is on
+let addedBodyCount = 0;
+
+// bodies in integration order (the star must come first)
+function physicsBodies() {
+  const list = [sun];
+  for (const p of planets) {
+    list.push(p);
+    if (p.moons) list.push(...p.moons);
+  }
+  list.push(...comets);
+  return list;
+}
+
+// a-priori state of a body on its Kepler orbit: heliocentric position (already
+// placed by updateBodyPositions) and velocity in AU/day
+function keplerVelocity(body, days, out) {
+  if (body.isSun) return vec3.zero(out);
+  const n = (2 * Math.PI) / body.period;
+  orbitVelocity(body.orbit, meanAnomalyAt(body, days), n, out);
+  vec3.scale(out, out, body.orbit.a);
+  if (body.parent) {
+    const pv = keplerVelocity(body.parent, days, vec3.create());
+    vec3.add(out, out, pv);
+  }
+  return out;
+}
+
+// (re)build the flat state arrays from the bodies' current pos/vel
+function buildPhysicsState(bodies, pos, vel) {
+  const n = bodies.length;
+  nbody.bodies = bodies;
+  nbody.pos = pos;
+  nbody.vel = vel;
+  nbody.mu = new Float64Array(n);
+  for (let i = 0; i < n; i++) nbody.mu[i] = (bodies[i].massKg || 0) * GM_PER_KG;
+  nbody.acc = new Float64Array(n * 3);
+  // scratch for RK4
+  nbody.k = Array.from({ length: 8 }, () => new Float64Array(n * 3));
+  nbody.tmpPos = new Float64Array(n * 3);
+  nbody.tmpVel = new Float64Array(n * 3);
+  computeAccelerations(nbody.pos, nbody.acc);
+  resetDriftBaseline();
+}
+
+function startPhysics() {
+  const days = simJD - J2000;
+  updateBodyPositions(days);
+  const bodies = physicsBodies();
+  const n = bodies.length;
+  const pos = new Float64Array(n * 3);
+  const vel = new Float64Array(n * 3);
+  const v = vec3.create();
+  const momentum = [0, 0, 0];
+  let muTotal = 0;
+  bodies.forEach((b, i) => {
+    pos.set(b.helioPos, i * 3);
+    vel.set(keplerVelocity(b, days, v), i * 3);
+    const mu = (b.massKg || 0) * GM_PER_KG;
+    for (let c = 0; c < 3; c++) momentum[c] += mu * vel[i * 3 + c];
+    muTotal += mu;
+  });
+  // Kepler orbits ignore the star's wobble; take out the net momentum so the
+  // system doesn't drift across the screen
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < 3; c++) vel[i * 3 + c] -= momentum[c] / muTotal;
+  }
+  nbody = {
+    snapshot: planets.map((p) => ({ body: p, moons: p.moons && p.moons.slice() })),
+    comets: comets.slice(),
+    added: [],
+    backlog: 0,
+    slowed: false,
+  };
+  buildPhysicsState(bodies, pos, vel);
+}
+
+// back to Kepler orbits: bring back deleted bodies and drop added ones
+function stopPhysics() {
+  for (const b of nbody.added) {
+    gl.deleteTexture(b.glTexture);
+    gl.deleteBuffer(b.orbitBuffer);
+  }
+  planets.length = 0;
+  for (const { body, moons } of nbody.snapshot) {
+    planets.push(body);
+    body.parent = undefined;
+    body.moons = moons;
+    if (moons) for (const m of moons) m.parent = body;
+  }
+  comets.splice(0, comets.length, ...nbody.comets);
+  for (const b of physicsBodies()) {
+    b.orbitHidden = false;
+    if (b.orbitBuffer) buildOrbitPath(b);
+  }
+  if (lockedPlanet && nbody.added.includes(lockedPlanet)) lockedPlanet = null;
+  vec3.zero(sun.worldPos);
+  vec3.zero(sun.helioPos);
+  nbody = null;
+}
+
+function setPhysicsEnabled(on) {
+  if (on === physicsEnabled || !sun) return;
+  if (on) startPhysics();
+  else stopPhysics();
+  physicsEnabled = on;
+  if (physicsToggleBtn) physicsToggleBtn.textContent = on ? 'Physics: On' : 'Physics: Off';
+  if (physicsPanelEl) physicsPanelEl.style.display = on ? 'block' : 'none';
+}
+
+// pairwise gravity; acc[i] = sum over j of mu_j (r_j - r_i) / |r_j - r_i|^3
+function computeAccelerations(pos, acc) {
+  const mu = nbody.mu;
+  const n = mu.length;
+  acc.fill(0);
+  for (let i = 0; i < n; i++) {
+    const ix = i * 3;
+    for (let j = i + 1; j < n; j++) {
+      if (mu[i] === 0 && mu[j] === 0) continue;
+      const jx = j * 3;
+      const dx = pos[jx] - pos[ix];
+      const dy = pos[jx + 1] - pos[ix + 1];
+      const dz = pos[jx + 2] - pos[ix + 2];
+      const r2 = dx * dx + dy * dy + dz * dz + NBODY_SOFTENING2;
+      const inv3 = 1 / (r2 * Math.sqrt(r2));
+      acc[ix] += mu[j] * dx * inv3;
+      acc[ix + 1] += mu[j] * dy * inv3;
+      acc[ix + 2] += mu[j] * dz * inv3;
+      acc[jx] -= mu[i] * dx * inv3;
+      acc[jx + 1] -= mu[i] * dy * inv3;
+      acc[jx + 2] -= mu[i] * dz * inv3;
+    }
+  }
+}
+
+// kick-drift-kick leapfrog (velocity Verlet): symplectic, so energy errors stay bounded
+function stepVerlet(h) {
+  const { pos, vel, acc } = nbody;
+  for (let k = 0; k < pos.length; k++) vel[k] += acc[k] * h * 0.5;
+  for (let k = 0; k < pos.length; k++) pos[k] += vel[k] * h;
+  computeAccelerations(pos, acc);
+  for (let k = 0; k < pos.length; k++) vel[k] += acc[k] * h * 0.5;
+}
+
+// classic fourth-order Runge-Kutta: very accurate per step but energy slowly drifts
+function stepRK4(h) {
+  const { pos, vel, tmpPos, tmpVel, k } = nbody;
+  const len = pos.length;
+  // k[2s] = dx/dt = v, k[2s + 1] = dv/dt = a for stage s
+  const stage = (s, scale) => {
+    if (s === 0) {
+      k[0].set(vel);
+      computeAccelerations(pos, k[1]);
+      return;
+    }
+    for (let q = 0; q < len; q++) {
+      tmpPos[q] = pos[q] + k[2 * s - 2][q] * h * scale;
+      tmpVel[q] = vel[q] + k[2 * s - 1][q] * h * scale;
+    }
+    k[2 * s].set(tmpVel);
+    computeAccelerations(tmpPos, k[2 * s + 1]);
+  };
+  stage(0, 0);
+  stage(1, 0.5);
+  stage(2, 0.5);
+  stage(3, 1);
+  for (let q = 0; q < len; q++) {
+    pos[q] += (h / 6) * (k[0][q] + 2 * k[2][q] + 2 * k[4][q] + k[6][q]);
+    vel[q] += (h / 6) * (k[1][q] + 2 * k[3][q] + 2 * k[5][q] + k[7][q]);
+  }
+  computeAccelerations(pos, nbody.acc);
+}
+
+// explicit Euler, kept as the cautionary example: orbits spiral outwards
+function stepEuler(h) {
+  const { pos, vel, acc } = nbody;
+  for (let k = 0; k < pos.length; k++) {
+    pos[k] += vel[k] * h;
+    vel[k] += acc[k] * h;
+  }
+  computeAccelerations(pos, acc);
+}
+
+const INTEGRATORS = { verlet: stepVerlet, rk4: stepRK4, euler: stepEuler };
+
+// integrate `dDays` (may be negative) in fixed steps; returns the time actually
+// simulated, which falls short when the steps don't fit in the time budget
+function advancePhysics(dDays, budgetMs = NBODY_FRAME_BUDGET_MS) {
+  nbody.backlog += dDays;
+  const step = INTEGRATORS[integrator];
+  const h = Math.sign(nbody.backlog) * physicsStep;
+  const start = performance.now();
+  let advanced = 0;
+  let steps = Math.floor(Math.abs(nbody.backlog) / physicsStep);
+  nbody.slowed = false;
+  while (steps-- > 0) {
+    step(h);
+    advanced += h;
+    if (performance.now() - start > budgetMs) {
+      nbody.slowed = steps > 0;
+      break;
+    }
+  }
+  // drop what didn't fit rather than piling it up for later frames
+  nbody.backlog = nbody.slowed ? 0 : nbody.backlog - advanced;
+  return advanced;
+}
+
+// --- conserved quantities (in G = 1 units; only relative drift is shown) ---
+function systemInvariants() {
+  const { pos, vel, mu } = nbody;
+  const n = mu.length;
+  let kinetic = 0;
+  let potential = 0;
+  let momentumScale = 0;
+  const p = [0, 0, 0];
+  const l = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    const ix = i * 3;
+    const vx = vel[ix], vy = vel[ix + 1], vz = vel[ix + 2];
+    const v2 = vx * vx + vy * vy + vz * vz;
+    kinetic += 0.5 * mu[i] * v2;
+    momentumScale += mu[i] * Math.sqrt(v2);
+    p[0] += mu[i] * vx;
+    p[1] += mu[i] * vy;
+    p[2] += mu[i] * vz;
+    l[0] += mu[i] * (pos[ix + 1] * vz - pos[ix + 2] * vy);
+    l[1] += mu[i] * (pos[ix + 2] * vx - pos[ix] * vz);
+    l[2] += mu[i] * (pos[ix] * vy - pos[ix + 1] * vx);
+    for (let j = i + 1; j < n; j++) {
+      const jx = j * 3;
+      const dx = pos[jx] - pos[ix], dy = pos[jx + 1] - pos[ix + 1], dz = pos[jx + 2] - pos[ix + 2];
+      potential -= (mu[i] * mu[j]) / Math.sqrt(dx * dx + dy * dy + dz * dz + NBODY_SOFTENING2);
+    }
+  }
+  return { energy: kinetic + potential, momentum: p, momentumScale, angular: l };
+}
+
+// drift is measured from the last change made by the user (start, add, delete, kick)
+function resetDriftBaseline() {
+  nbody.baseline = systemInvariants();
+}
+
+function formatDrift(v) {
+  return Number.isFinite(v) ? v.toExponential(2) : '—';
+}
+
+function updatePhysicsReadout() {
+  if (!nbody || !energyDriftEl) return;
+  const now = systemInvariants();
+  const b = nbody.baseline;
+  const dp = vec3.distance(now.momentum, b.momentum);
+  const dl = vec3.distance(now.angular, b.angular);
+  energyDriftEl.textContent = formatDrift((now.energy - b.energy) / Math.abs(b.energy));
+  momentumDriftEl.textContent = formatDrift(dp / b.momentumScale);
+  angularDriftEl.textContent = formatDrift(dl / vec3.length(b.angular));
+  physicsStatusEl.textContent = nbody.slowed ? 'Running slower than the time rate (step too small)' : '';
+}
+
+// osculating elements of `body` about `central` (ecliptic, degrees); null if unbound
+const _relPos = vec3.create();
+const _relVel = vec3.create();
+function osculatingElements(i, centralIndex) {
+  const { pos, vel, mu } = nbody;
+  const c = centralIndex * 3;
+  const ix = i * 3;
+  const r = [pos[ix] - pos[c], pos[ix + 1] - pos[c + 1], pos[ix + 2] - pos[c + 2]];
+  const v = [vel[ix] - vel[c], vel[ix + 1] - vel[c + 1], vel[ix + 2] - vel[c + 2]];
+  return elementsFromState(r, v, mu[centralIndex] + mu[i]);
+}
+
+// orbital elements (AU, degrees) of relative position r and velocity v (scene
+// axes, AU and AU/day) under gravitational parameter gm; M0 is the mean
+// anomaly at that moment. null for unbound orbits.
+function elementsFromState(rScene, vScene, gm) {
+  // scene (x, y up, z) -> ecliptic (x, -z, y)
+  const r = [rScene[0], -rScene[2], rScene[1]];
+  const v = [vScene[0], -vScene[2], vScene[1]];
+  const rLen = Math.hypot(r[0], r[1], r[2]);
+  const v2 = v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+  const energy = v2 / 2 - gm / rLen;
+  if (!(gm > 0) || energy >= 0) return null;
+  const a = -gm / (2 * energy);
+  const h = vec3.cross(vec3.create(), r, v);
+  const hLen = vec3.length(h);
+  const rv = r[0] * v[0] + r[1] * v[1] + r[2] * v[2];
+  const eVec = r.map((rc, k) => ((v2 - gm / rLen) * rc - rv * v[k]) / gm);
+  const e = Math.hypot(eVec[0], eVec[1], eVec[2]);
+  // ascending node direction; any direction in the plane for flat orbits
+  let nodeDir = [-h[1], h[0], 0];
+  if (Math.hypot(nodeDir[0], nodeDir[1]) < 1e-12 * hLen) nodeDir = [1, 0, 0];
+  vec3.normalize(nodeDir, nodeDir);
+  const periDir = e > 1e-9 ? eVec : r;
+  const cross = vec3.cross(vec3.create(), nodeDir, periDir);
+  // eccentric anomaly from the distance and the radial speed
+  const E = e > 1e-9 ? Math.atan2(rv / (e * Math.sqrt(gm * a)), (1 - rLen / a) / e) : 0;
+  return {
+    a,
+    e,
+    i: Math.acos(Math.max(-1, Math.min(1, h[2] / hLen))) / DEG,
+    node: Math.atan2(nodeDir[1], nodeDir[0]) / DEG,
+    argPeri: Math.atan2(vec3.dot(cross, h) / hLen, vec3.dot(nodeDir, periDir)) / DEG,
+    M0: (E - e * Math.sin(E)) / DEG,
+  };
+}
+
+// copy the integrated state onto the bodies (positions, models, orbit paths)
+function applyPhysicsState(days) {
+  const { bodies, pos } = nbody;
+  const index = new Map(bodies.map((b, i) => [b, i]));
+  bodies.forEach((b, i) => {
+    vec3.set(b.helioPos, pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]);
+  });
+  vec3.scale(sun.worldPos, sun.helioPos, distanceScale);
+  setBodyModel(sun, days);
+  for (const p of planets) {
+    toScene(p.worldPos, p.helioPos);
+    setBodyModel(p, days);
+    if (p.rings) placeRings(p);
+    const el = osculatingElements(index.get(p), 0);
+    p.orbitHidden = !el;
+    if (el) {
+      refreshOrbitPath(p, el);
+      const r = el.a * distanceScale;
+      mat4.fromTranslation(p.orbitModel, sun.worldPos);
+      mat4.scale(p.orbitModel, p.orbitModel, [r, r, r]);
+    }
+    if (!p.moons) continue;
+    for (const m of p.moons) {
+      // moons keep their exaggerated spacing near the parent and blend to the
+      // true scale as they wander off (say after a kick out of orbit)
+      vec3.sub(_relPos, m.helioPos, p.helioPos);
+      const far = Math.min(1, Math.max(0, (vec3.length(_relPos) / m.orbit.a - 3) / 7));
+      const scale = moonVisualRadius(m) / m.orbit.a;
+      const k = scale + (distanceScale - scale) * far;
+      vec3.scaleAndAdd(m.worldPos, p.worldPos, _relPos, k);
+      setBodyModel(m, days);
+      const mel = osculatingElements(index.get(m), index.get(p));
+      m.orbitHidden = !mel || far > 0;
+      if (!m.orbitHidden) {
+        refreshOrbitPath(m, mel);
+        const r = mel.a * k;
+        mat4.fromTranslation(m.orbitModel, p.worldPos);
+        mat4.scale(m.orbitModel, m.orbitModel, [r, r, r]);
+      }
+    }
+  }
+  const { vel } = nbody;
+  for (const c of comets) {
+    const i = index.get(c);
+    toScene(c.worldPos, c.helioPos);
+    setBodyModel(c, days);
+    // tails point away from the star, so velocities are relative to it
+    vec3.set(c.helioVel, vel[i * 3] - vel[0], vel[i * 3 + 1] - vel[1], vel[i * 3 + 2] - vel[2]);
+    const el = osculatingElements(i, 0);
+    c.orbitHidden = !el;
+    if (el) {
+      refreshOrbitPath(c, el);
+      const r = el.a * distanceScale;
+      mat4.fromTranslation(c.orbitModel, sun.worldPos);
+      mat4.scale(c.orbitModel, c.orbitModel, [r, r, r]);
+    }
+  }
+}
+
+// --- editing the system while it runs ---
+function addPhysicsBody(massKg, distanceAU) {
+  const days = simJD - J2000;
+  addedBodyCount++;
+  // on the ecliptic, on the side of the star facing the camera
+  const dir = [Math.sin(yaw), 0, Math.cos(yaw)];
+  const body = createBody(
+    {
+      name: `Body ${addedBodyCount}`,
+      massKg,
+      radiusKm: 6371 * Math.cbrt(massKg / MASS_PRESETS.earth),
+      size: Math.min(12, Math.max(0.3, Math.cbrt(massKg / MASS_PRESETS.earth))),
+      color: [0.95, 0.55, 0.85],
+      orbit: { a: distanceAU },
+    },
+    null
+  );
+  body.added = true;
+  setBodyModel(body, days);
+  planets.push(body);
+  nbody.added.push(body);
+
+  // circular prograde speed about the star, plus the star's own motion
+  const vCirc = Math.sqrt((nbody.mu[0] + massKg * GM_PER_KG) / distanceAU);
+  const pos = [...nbody.pos, 0, 0, 0];
+  const vel = [...nbody.vel, 0, 0, 0];
+  const i = nbody.bodies.length;
+  for (let c = 0; c < 3; c++) {
+    pos[i * 3 + c] = nbody.pos[c] + dir[c] * distanceAU;
+    vel[i * 3 + c] = nbody.vel[c];
+  }
+  // prograde = counter-clockwise seen from ecliptic north (+Y): (x, z) -> (z, -x)
+  vel[i * 3] += dir[2] * vCirc;
+  vel[i * 3 + 2] -= dir[0] * vCirc;
+  buildPhysicsState([...nbody.bodies, body], Float64Array.from(pos), Float64Array.from(vel));
+  lockedPlanet = body;
+}
+
+function deletePhysicsBody(body) {
+  if (!body || body.isSun) return;
+  const i = nbody.bodies.indexOf(body);
+  if (i < 0) return;
+  if (body.isComet) {
+    comets.splice(comets.indexOf(body), 1);
+  } else if (body.parent) {
+    body.parent.moons = body.parent.moons.filter((m) => m !== body);
+  } else {
+    planets.splice(planets.indexOf(body), 1);
+    // orphaned moons carry on as planets of their own
+    if (body.moons) {
+      for (const m of body.moons) {
+        m.parent = undefined;
+        planets.push(m);
+      }
+    }
+  }
+  if (body.added) {
+    nbody.added = nbody.added.filter((b) => b !== body);
+    gl.deleteTexture(body.glTexture);
+    gl.deleteBuffer(body.orbitBuffer);
+  }
+  const without = (arr) => Float64Array.from([...arr.subarray(0, i * 3), ...arr.subarray(i * 3 + 3)]);
+  buildPhysicsState(
+    nbody.bodies.filter((b) => b !== body),
+    without(nbody.pos),
+    without(nbody.vel)
+  );
+  if (lockedPlanet === body) lockedPlanet = null;
+}
+
+// change a body's velocity by dvKms (km/s) relative to what it orbits
+function kickPhysicsBody(body, direction, dvKms) {
+  const i = nbody.bodies.indexOf(body);
+  if (i < 0 || body.isSun) return;
+  const c = nbody.bodies.indexOf(body.parent || sun) * 3;
+  const r = [0, 1, 2].map((k) => nbody.pos[i * 3 + k] - nbody.pos[c + k]);
+  const v = [0, 1, 2].map((k) => nbody.vel[i * 3 + k] - nbody.vel[c + k]);
+  const normal = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), r, v));
+  const dirs = {
+    prograde: vec3.normalize(vec3.create(), v),
+    retrograde: vec3.negate(vec3.create(), vec3.normalize(vec3.create(), v)),
+    radialOut: vec3.normalize(vec3.create(), r),
+    radialIn: vec3.negate(vec3.create(), vec3.normalize(vec3.create(), r)),
+    normal,
+    antiNormal: vec3.negate(vec3.create(), normal),
+  };
+  const dv = (dvKms * 86400) / AU_KM; // AU/day
+  for (let k = 0; k < 3; k++) nbody.vel[i * 3 + k] += dirs[direction][k] * dv;
+  computeAccelerations(nbody.pos, nbody.acc);
+  resetDriftBaseline();
+}
+
+if (physicsToggleBtn) {
+  physicsToggleBtn.addEventListener('click', () => setPhysicsEnabled(!physicsEnabled));
+}
+if (integratorSelect) {
+  integratorSelect.addEventListener('change', (e) => {
+    integrator = e.target.value;
+    if (nbody) resetDriftBaseline();
+  });
+}
+if (physicsStepSelect) {
+  physicsStepSelect.addEventListener('change', (e) => {
+    physicsStep = parseFloat(e.target.value);
+    if (nbody) resetDriftBaseline();
+  });
+}
+const physicsAddBtn = document.getElementById('physicsAddBtn');
+if (physicsAddBtn) {
+  physicsAddBtn.addEventListener('click', () => {
+    const mass = MASS_PRESETS[document.getElementById('addMassSelect').value];
+    const dist = parseFloat(document.getElementById('addDistanceInput').value);
+    if (nbody && dist > 0) addPhysicsBody(mass, dist);
+  });
+}
+const physicsDeleteBtn = document.getElementById('physicsDeleteBtn');
+if (physicsDeleteBtn) {
+  physicsDeleteBtn.addEventListener('click', () => {
+    if (nbody) deletePhysicsBody(lockedPlanet);
+  });
+}
+const physicsKickBtn = document.getElementById('physicsKickBtn');
+if (physicsKickBtn) {
+  physicsKickBtn.addEventListener('click', () => {
+    const dir = document.getElementById('kickDirectionSelect').value;
+    const dv = parseFloat(document.getElementById('kickDvInput').value);
+    if (nbody && lockedPlanet && Number.isFinite(dv)) kickPhysicsBody(lockedPlanet, dir, dv);
+  });
+}
+const physicsResetBtn = document.getElementById('physicsResetBtn');
+if (physicsResetBtn) {
+  physicsResetBtn.addEventListener('click', () => {
+    if (!nbody) return;
+    stopPhysics();
+    startPhysics();
+  });
+}
+
+// --- transfer planner (Hohmann transfers and porkchop plots) ---
+// A Hohmann transfer treats both planets' orbits as circles in the ecliptic and
+// leaves along the half ellipse touching both. The porkchop plot instead solves
+// Lambert's problem between the planets' actual positions for a grid of
+// departure dates and flight times. Delta-v is the change in heliocentric
+// velocity at each end (v-infinity); escaping from and braking into the planets
+// themselves is left out.
+const transferPanelEl = document.getElementById('transferPanel');
+const transferToggleBtn = document.getElementById('transferToggleBtn');
+const transferOriginSelect = document.getElementById('transferOriginSelect');
+const transferDestSelect = document.getElementById('transferDestSelect');
+const transferResultEl = document.getElementById('transferResult');
+const porkchopCanvas = document.getElementById('porkchopCanvas');
+const porkchopInfoEl = document.getElementById('porkchopInfo');
+const KMS_PER_AU_DAY = AU_KM / 86400;
+const TRANSFER_SEGMENTS = 128;
+const TRANSFER_COLOR = [1.0, 0.6, 0.2];
+const PORKCHOP_COLS = 72,
+  PORKCHOP_ROWS = 48;
+let transfer = null; // { kind, origin, destination, depJD, arrJD, orbit, period, dvDep, dvArr }
+let porkchop = null; // grid of total delta-v over departure date x flight time
+const transferPathBuffer = gl.createBuffer();
+const transferPathModel = mat4.create();
+// marker riding along the transfer; hoverable and lockable like a body
+const spacecraft = {
+  name: 'Spacecraft',
+  isCraft: true,
+  color: [1.0, 0.85, 0.6],
+  visualSize: 0.03,
+  worldPos: vec3.create(),
+  helioPos: vec3.create(),
+  model: mat4.create(),
+};
+
+// heliocentric position (AU) and velocity (AU/day) of a planet on its Kepler orbit
+function planetStateAt(body, jd, pos, vel) {
+  const days = jd - J2000;
+  const M = meanAnomalyAt(body, days);
+  vec3.scale(pos, orbitPosition(body.orbit, M, pos), body.orbit.a);
+  if (vel) keplerVelocity(body, days, vel);
+}
+
+function eclipticLongitude(v) {
+  return Math.atan2(-v[2], v[0]);
+}
+
+// wrap to (-PI, PI]
+function wrapAngle(a) {
+  a %= 2 * Math.PI;
+  if (a <= -Math.PI) a += 2 * Math.PI;
+  else if (a > Math.PI) a -= 2 * Math.PI;
+  return a;
+}
+
+function synodicPeriod(a, b) {
+  return 1 / Math.abs(1 / a.period - 1 / b.period);
+}
+
+// dates searched for a transfer: one synodic period, capped for bodies with
+// (nearly) equal periods whose phase hardly changes
+const TRANSFER_WINDOW_PERIODS = 100;
+function transferWindow(a, b) {
+  return Math.min(synodicPeriod(a, b), TRANSFER_WINDOW_PERIODS * Math.min(a.period, b.period));
+}
+
+// textbook Hohmann numbers for circular orbits of radius r1 and r2 (AU)
+function hohmannNumbers(r1, r2, mu) {
+  const at = (r1 + r2) / 2;
+  return {
+    tof: Math.PI * Math.sqrt((at * at * at) / mu),
+    dvDep: Math.abs(Math.sqrt(mu / r1) * (Math.sqrt((2 * r2) / (r1 + r2)) - 1)),
+    dvArr: Math.abs(Math.sqrt(mu / r2) * (1 - Math.sqrt((2 * r1) / (r1 + r2)))),
+  };
+}
+
+// the next Hohmann window after fromJD: the destination has to lead the
+// origin by PI - n2 * tof at departure so the two meet half an orbit later
+function planHohmann(origin, destination, fromJD) {
+  const mu = GM_PER_KG * sun.massKg;
+  const r1 = origin.orbit.a,
+    r2 = destination.orbit.a;
+  const { tof, dvDep, dvArr } = hohmannNumbers(r1, r2, mu);
+  const lead = Math.PI - (2 * Math.PI * tof) / destination.period;
+  const p1 = vec3.create(),
+    p2 = vec3.create();
+  const phaseError = (jd) => {
+    planetStateAt(origin, jd, p1);
+    planetStateAt(destination, jd, p2);
+    return wrapAngle(eclipticLongitude(p2) - eclipticLongitude(p1) - lead);
+  };
+  // scan one synodic period for a sign change that isn't the jump at +-PI
+  const span = transferWindow(origin, destination);
+  const step = Math.min(origin.period, destination.period, span) / 64;
+  let t0 = fromJD,
+    e0 = phaseError(t0),
+    depJD = null;
+  for (let t = fromJD + step; t <= fromJD + span + 2 * step; t += step) {
+    const e = phaseError(t);
+    if (Math.sign(e) !== Math.sign(e0) && Math.abs(e - e0) < Math.PI) {
+      let lo = t0,
+        hi = t;
+      for (let k = 0; k < 40; k++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(phaseError(mid)) === Math.sign(e0)) lo = mid;
+        else hi = mid;
+      }
+      depJD = (lo + hi) / 2;
+      break;
+    }
+    t0 = t;
+    e0 = e;
+  }
+  if (depJD === null) return null;
+
+  // the transfer ellipse: perihelion (or aphelion, going inwards) at the
+  // origin's direction at departure
+  planetStateAt(origin, depJD, p1);
+  const theta = eclipticLongitude(p1);
+  const r = [r1 * Math.cos(theta), 0, -r1 * Math.sin(theta)];
+  const speed = Math.sqrt(mu * (2 / r1 - 2 / (r1 + r2)));
+  const v = [-Math.sin(theta) * speed, 0, -Math.cos(theta) * speed];
+  return {
+    kind: 'Hohmann',
+    origin,
+    destination,
+    depJD,
+    arrJD: depJD + tof,
+    orbit: elementsFromState(r, v, mu),
+    period: 2 * tof,
+    dvDep,
+    dvArr,
+  };
+}
+
+// Stumpff functions for the universal-variable Lambert solver
+function stumpffC(z) {
+  if (z > 1e-8) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-8) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2;
+}
+function stumpffS(z) {
+  if (z > 1e-8) {
+    const s = Math.sqrt(z);
+    return (s - Math.sin(s)) / (s * s * s);
+  }
+  if (z < -1e-8) {
+    const s = Math.sqrt(-z);
+    return (Math.sinh(s) - s) / (s * s * s);
+  }
+  return 1 / 6;
+}
+
+// Lambert's problem: the prograde conic from r1 to r2 (AU, scene axes) in dt
+// days, after Curtis, Orbital Mechanics for Engineering Students, alg. 5.2.
+// Returns the velocities (AU/day) at both ends, or null.
+const _lambertCross = vec3.create();
+function solveLambert(r1v, r2v, dt, mu) {
+  const r1 = vec3.length(r1v),
+    r2 = vec3.length(r2v);
+  let dTheta = Math.acos(Math.max(-1, Math.min(1, vec3.dot(r1v, r2v) / (r1 * r2))));
+  // going the long way round when prograde motion needs it (north is +Y)
+  if (vec3.cross(_lambertCross, r1v, r2v)[1] < 0) dTheta = 2 * Math.PI - dTheta;
+  const A = Math.sin(dTheta) * Math.sqrt((r1 * r2) / (1 - Math.cos(dTheta)));
+  if (!Number.isFinite(A) || Math.abs(A) < 1e-9) return null;
+  const y = (z) => r1 + r2 + (A * (z * stumpffS(z) - 1)) / Math.sqrt(stumpffC(z));
+  const F = (z) => {
+    const yz = y(z);
+    return Math.pow(yz / stumpffC(z), 1.5) * stumpffS(z) + A * Math.sqrt(yz) - Math.sqrt(mu) * dt;
+  };
+  // F rises with z up to one full revolution; start where y turns positive
+  let lo = -4 * Math.PI * Math.PI,
+    hi = 4 * Math.PI * Math.PI - 1e-6;
+  if (y(lo) <= 0) {
+    let a = lo,
+      b = hi;
+    for (let k = 0; k < 60; k++) {
+      const mid = (a + b) / 2;
+      if (y(mid) <= 0) a = mid;
+      else b = mid;
+    }
+    lo = b;
+  }
+  if (!(F(lo) < 0 && F(hi) > 0)) return null;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (F(mid) < 0) lo = mid;
+    else hi = mid;
+  }
+  const yz = y((lo + hi) / 2);
+  const f = 1 - yz / r1,
+    g = A * Math.sqrt(yz / mu),
+    gdot = 1 - yz / r2;
+  const v1 = vec3.create(),
+    v2 = vec3.create();
+  for (let k = 0; k < 3; k++) {
+    v1[k] = (r2v[k] - f * r1v[k]) / g;
+    v2[k] = (gdot * r2v[k] - r1v[k]) / g;
+  }
+  return [v1, v2];
+}
+
+// transfer leaving at depJD and arriving tof days later, between the real positions
+const _p1 = vec3.create(),
+  _p2 = vec3.create(),
+  _pv1 = vec3.create(),
+  _pv2 = vec3.create();
+function lambertTransfer(origin, destination, depJD, tof, withOrbit = true) {
+  const mu = GM_PER_KG * sun.massKg;
+  planetStateAt(origin, depJD, _p1, _pv1);
+  planetStateAt(destination, depJD + tof, _p2, _pv2);
+  const v = solveLambert(_p1, _p2, tof, mu);
+  if (!v) return null;
+  const t = {
+    kind: 'Lambert',
+    origin,
+    destination,
+    depJD,
+    arrJD: depJD + tof,
+    dvDep: vec3.distance(v[0], _pv1),
+    dvArr: vec3.distance(v[1], _pv2),
+  };
+  if (withOrbit) {
+    t.orbit = elementsFromState(_p1, v[0], mu);
+    if (!t.orbit) return null; // hyperbolic; fine for the plot but not drawn
+    t.period = 2 * Math.PI * Math.sqrt(Math.pow(t.orbit.a, 3) / mu);
+  }
+  return t;
+}
+
+function setTransfer(t) {
+  transfer = t;
+  if (lockedPlanet === spacecraft && !t) lockedPlanet = null;
+  if (t) {
+    // the arc, in AU about the star
+    const verts = new Float32Array((TRANSFER_SEGMENTS + 1) * 3);
+    const pt = vec3.create();
+    for (let k = 0; k <= TRANSFER_SEGMENTS; k++) {
+      transferPositionAt(t, t.depJD + ((t.arrJD - t.depJD) * k) / TRANSFER_SEGMENTS, pt);
+      verts.set(pt, k * 3);
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, transferPathBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+  }
+  showTransferResult();
+  drawPorkchop();
+}
+
+function transferPositionAt(t, jd, out) {
+  const M = (t.orbit.M0 + (360 * (jd - t.depJD)) / t.period) * DEG;
+  return vec3.scale(out, orbitPosition(t.orbit, M, out), t.orbit.a);
+}
+
+function showTransferResult() {
+  if (!transferResultEl) return;
+  transferResultEl.textContent = '';
+  if (!transfer) return;
+  const row = (label, value) => {
+    const div = document.createElement('div');
+    div.className = 'transferRow';
+    const l = document.createElement('span');
+    l.textContent = label;
+    const v = document.createElement('span');
+    v.textContent = value;
+    div.append(l, v);
+    transferResultEl.appendChild(div);
+  };
+  const kms = (v) => `${(v * KMS_PER_AU_DAY).toFixed(2)} km/s`;
+  row('Trajectory', `${transfer.kind}: ${transfer.origin.name} → ${transfer.destination.name}`);
+  row('Departure', formatDate(transfer.depJD));
+  row('Arrival', formatDate(transfer.arrJD));
+  row('Time of flight', formatPeriod(transfer.arrJD - transfer.depJD));
+  row('Δv at departure', kms(transfer.dvDep));
+  row('Δv at arrival', kms(transfer.dvArr));
+  row('Total Δv', kms(transfer.dvDep + transfer.dvArr));
+}
+
+function refreshTransferOptions() {
+  if (!transferOriginSelect || !transferDestSelect) return;
+  const fill = (select, preferred) => {
+    const current = select.value;
+    select.textContent = '';
+    for (const p of planets) select.add(new Option(p.name, p.name));
+    const names = planets.map((p) => p.name);
+    select.value = names.includes(current) ? current : names.includes(preferred) ? preferred : names[0] || '';
+  };
+  fill(transferOriginSelect, 'Earth');
+  fill(transferDestSelect, 'Mars');
+  if (transferDestSelect.value === transferOriginSelect.value && planets.length > 1) {
+    transferDestSelect.value = planets.find((p) => p.name !== transferOriginSelect.value).name;
+  }
+}
+
+function selectedTransferPlanets() {
+  const origin = planets.find((p) => p.name === transferOriginSelect.value);
+  const destination = planets.find((p) => p.name === transferDestSelect.value);
+  if (!origin || !destination || origin === destination) return null;
+  return [origin, destination];
+}
+
+// forget plans that refer to bodies of a scene that has been replaced
+function clearTransfer() {
+  porkchop = null;
+  setTransfer(null);
+  refreshTransferOptions();
+}
+
+// --- porkchop plot ---
+// departure dates over one synodic period (see transferWindow) from the current
+// date, flight times from half to one and a half times the Hohmann time
+function buildPorkchop(origin, destination) {
+  const mu = GM_PER_KG * sun.massKg;
+  const hohmannTof = hohmannNumbers(origin.orbit.a, destination.orbit.a, mu).tof;
+  const grid = {
+    origin,
+    destination,
+    dep0: simJD,
+    depSpan: Math.max(60, transferWindow(origin, destination)),
+    tof0: hohmannTof * 0.5,
+    tofSpan: hohmannTof,
+    dv: new Float32Array(PORKCHOP_COLS * PORKCHOP_ROWS),
+    best: null,
+  };
+  for (let row = 0; row < PORKCHOP_ROWS; row++) {
+    for (let col = 0; col < PORKCHOP_COLS; col++) {
+      const [dep, tof] = porkchopCell(grid, col + 0.5, row + 0.5);
+      const t = lambertTransfer(origin, destination, dep, tof, false);
+      const dv = t ? (t.dvDep + t.dvArr) * KMS_PER_AU_DAY : Infinity;
+      // compare the stored (float32) values so none falls below the minimum
+      const i = row * PORKCHOP_COLS + col;
+      grid.dv[i] = dv;
+      if (!grid.best || grid.dv[i] < grid.best.dv) grid.best = { col, row, dv: grid.dv[i] };
+    }
+  }
+  return grid;
+}
+
+// departure date and flight time at grid coordinates (columns, rows from the bottom)
+function porkchopCell(grid, col, row) {
+  return [grid.dep0 + (grid.depSpan * col) / PORKCHOP_COLS, grid.tof0 + (grid.tofSpan * row) / PORKCHOP_ROWS];
+}
+
+// blue (cheapest) through green and yellow to red at three times the minimum,
+// in bands of 10% of the minimum so the contours stand out
+function porkchopColor(dv, min) {
+  if (!Number.isFinite(dv)) return [20, 20, 20];
+  const band = Math.floor((dv / min - 1) / 0.1) * 0.1;
+  const t = Math.max(0, Math.min(1, band / 2));
+  const stops = [[40, 80, 220], [40, 200, 120], [240, 220, 60], [220, 50, 40]];
+  const x = t * (stops.length - 1);
+  const k = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - k;
+  const c = stops[k].map((v, i) => v + (stops[k + 1][i] - v) * f);
+  return dv > min * 3 ? c.map((v) => v * 0.4) : c;
+}
+
+function drawPorkchop() {
+  if (!porkchopCanvas) return;
+  porkchopCanvas.style.display = porkchop ? 'block' : 'none';
+  if (!porkchop) {
+    if (porkchopInfoEl) porkchopInfoEl.textContent = '';
+    return;
+  }
+  const ctx = porkchopCanvas.getContext('2d');
+  const w = porkchopCanvas.width,
+    h = porkchopCanvas.height;
+  const img = ctx.createImageData(PORKCHOP_COLS, PORKCHOP_ROWS);
+  const min = porkchop.best.dv;
+  for (let row = 0; row < PORKCHOP_ROWS; row++) {
+    for (let col = 0; col < PORKCHOP_COLS; col++) {
+      const c = porkchopColor(porkchop.dv[row * PORKCHOP_COLS + col], min);
+      // image rows run top-down; flight time grows upwards
+      const o = ((PORKCHOP_ROWS - 1 - row) * PORKCHOP_COLS + col) * 4;
+      img.data.set([c[0], c[1], c[2], 255], o);
+    }
+  }
+  // scale the grid up to the canvas without smoothing the bands away
+  const tmp = document.createElement('canvas');
+  tmp.width = PORKCHOP_COLS;
+  tmp.height = PORKCHOP_ROWS;
+  tmp.getContext('2d').putImageData(img, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(tmp, 0, 0, w, h);
+
+  const mark = (col, row, color) => {
+    const x = (col / PORKCHOP_COLS) * w,
+      y = h - (row / PORKCHOP_ROWS) * h;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x - 5, y);
+    ctx.lineTo(x + 5, y);
+    ctx.moveTo(x, y - 5);
+    ctx.lineTo(x, y + 5);
+    ctx.stroke();
+  };
+  if (Number.isFinite(porkchop.best.dv)) mark(porkchop.best.col + 0.5, porkchop.best.row + 0.5, '#fff');
+  if (transfer && transfer.origin === porkchop.origin && transfer.destination === porkchop.destination) {
+    const col = ((transfer.depJD - porkchop.dep0) / porkchop.depSpan) * PORKCHOP_COLS;
+    const row = ((transfer.arrJD - transfer.depJD - porkchop.tof0) / porkchop.tofSpan) * PORKCHOP_ROWS;
+    if (col >= 0 && col <= PORKCHOP_COLS && row >= 0 && row <= PORKCHOP_ROWS) mark(col, row, '#f93');
+  }
+  showPorkchopInfo(null);
+}
+
+function showPorkchopInfo(hover) {
+  if (!porkchopInfoEl || !porkchop) return;
+  const g = porkchop;
+  const range = `Departure ${formatDate(g.dep0).slice(0, 10)} to ${formatDate(g.dep0 + g.depSpan).slice(0, 10)} →, flight ${Math.round(g.tof0)}–${Math.round(g.tof0 + g.tofSpan)} d ↑`;
+  if (!hover) {
+    porkchopInfoEl.textContent = Number.isFinite(g.best.dv)
+      ? `${range}. Minimum ${g.best.dv.toFixed(2)} km/s (+). Click to pick a trajectory.`
+      : `${range}. No transfer solution in this range.`;
+    return;
+  }
+  const [dep, tof] = hover;
+  const dv = g.dv[Math.min(PORKCHOP_ROWS - 1, Math.floor(((tof - g.tof0) / g.tofSpan) * PORKCHOP_ROWS)) * PORKCHOP_COLS +
+    Math.min(PORKCHOP_COLS - 1, Math.floor(((dep - g.dep0) / g.depSpan) * PORKCHOP_COLS))];
+  const dvText = Number.isFinite(dv) ? `${dv.toFixed(2)} km/s` : 'no solution';
+  porkchopInfoEl.textContent = `${range}. Leave ${formatDate(dep).slice(0, 10)}, fly ${Math.round(tof)} d: ${dvText}`;
+}
+
+// departure date and flight time under the pointer
+function porkchopPointer(e) {
+  const rect = porkchopCanvas.getBoundingClientRect();
+  const col = ((e.clientX - rect.left) / rect.width) * PORKCHOP_COLS;
+  const row = (1 - (e.clientY - rect.top) / rect.height) * PORKCHOP_ROWS;
+  return porkchopCell(porkchop, Math.max(0, Math.min(PORKCHOP_COLS, col)), Math.max(0, Math.min(PORKCHOP_ROWS, row)));
+}
+
+if (porkchopCanvas) {
+  porkchopCanvas.addEventListener('mousemove', (e) => {
+    if (porkchop) showPorkchopInfo(porkchopPointer(e));
+  });
+  porkchopCanvas.addEventListener('mouseleave', () => showPorkchopInfo(null));
+  porkchopCanvas.addEventListener('click', (e) => {
+    if (!porkchop) return;
+    const [dep, tof] = porkchopPointer(e);
+    const t = lambertTransfer(porkchop.origin, porkchop.destination, dep, tof);
+    if (t) setTransfer(t);
+  });
+}
+
+if (transferToggleBtn && transferPanelEl) {
+  transferToggleBtn.addEventListener('click', () => {
+    const open = transferPanelEl.style.display !== 'block';
+    transferPanelEl.style.display = open ? 'block' : 'none';
+    transferToggleBtn.textContent = open ? 'Transfer: On' : 'Transfer: Off';
+    if (open) refreshTransferOptions();
+  });
+}
+const transferPlanBtn = document.getElementById('transferPlanBtn');
+if (transferPlanBtn) {
+  transferPlanBtn.addEventListener('click', () => {
+    const pair = selectedTransferPlanets();
+    if (!pair) return;
+    const plan = planHohmann(pair[0], pair[1], simJD);
+    setTransfer(plan);
+    if (!plan && transferResultEl) {
+      transferResultEl.textContent = `No Hohmann window in the next ${formatPeriod(transferWindow(pair[0], pair[1]))}`;
+    }
+  });
+}
+const porkchopBtn = document.getElementById('porkchopBtn');
+if (porkchopBtn) {
+  porkchopBtn.addEventListener('click', () => {
+    const pair = selectedTransferPlanets();
+    if (!pair) return;
+    porkchop = buildPorkchop(pair[0], pair[1]);
+    // start from the cheapest trajectory on the plot
+    const [dep, tof] = porkchopCell(porkchop, porkchop.best.col + 0.5, porkchop.best.row + 0.5);
+    setTransfer(lambertTransfer(pair[0], pair[1], dep, tof) || transfer);
+  });
+}
+const transferGoBtn = document.getElementById('transferGoBtn');
+if (transferGoBtn) {
+  transferGoBtn.addEventListener('click', () => {
+    if (!transfer) return;
+    setSimDate(transfer.depJD);
+    lockedPlanet = spacecraft;
+  });
+}
+const transferClearBtn = document.getElementById('transferClearBtn');
+if (transferClearBtn) {
+  transferClearBtn.addEventListener('click', () => {
+    porkchop = null;
+    setTransfer(null);
+  });
+}
+
+// the spacecraft waits at the origin, flies the arc, then stays with the destination
+function updateSpacecraft() {
+  if (!transfer) return;
+  const t = transfer;
+  if (simJD <= t.depJD) vec3.copy(spacecraft.helioPos, t.origin.helioPos);
+  else if (simJD >= t.arrJD) vec3.copy(spacecraft.helioPos, t.destination.helioPos);
+  else vec3.add(spacecraft.helioPos, sun.helioPos, transferPositionAt(t, simJD, spacecraft.helioPos));
+  if (simJD <= t.depJD || simJD >= t.arrJD) {
+    vec3.copy(spacecraft.worldPos, (simJD <= t.depJD ? t.origin : t.destination).worldPos);
+  } else {
+    toScene(spacecraft.worldPos, spacecraft.helioPos);
+  }
+  const s = spacecraft.visualSize;
+  mat4.fromTranslation(spacecraft.model, spacecraft.worldPos);
+  mat4.scale(spacecraft.model, spacecraft.model, [s, s, s]);
+}
+
+function drawTransfer(vpMat) {
+  if (!transfer) return;
+  gl.useProgram(lineProgram);
+  gl.uniformMatrix4fv(uVPLine, false, vpMat);
+  gl.enableVertexAttribArray(aPosLine);
+  mat4.fromTranslation(transferPathModel, sun.worldPos);
+  mat4.scale(transferPathModel, transferPathModel, [distanceScale, distanceScale, distanceScale]);
+  gl.uniformMatrix4fv(uModelLine, false, relModel(transferPathModel));
+  gl.uniform3fv(uCenterLine, relPoint(sun.worldPos));
+  setWarpUniform(uWarpLine);
+  gl.uniform3fv(uColorLine, TRANSFER_COLOR);
+  gl.uniform1f(uAlphaLine, 0.9);
+  gl.bindBuffer(gl.ARRAY_BUFFER, transferPathBuffer);
+  gl.vertexAttribPointer(aPosLine, 3, gl.FLOAT, false, 0, 0);
+  gl.depthMask(false);
+  gl.drawArrays(gl.LINE_STRIP, 0, TRANSFER_SEGMENTS + 1);
+  gl.depthMask(true);
+  gl.useProgram(program);
+}
+
+// --- camera (quaternion + momentum + smooth zoom) ---
+let yaw = 0,
+  pitch = 0;
+let yawVel = 0,
+  pitchVel = 0;
+let radiusCam = 120,
+  targetRadius = 120; // start zoomed out so full system is visible
+const minZoom = 10,
+  maxZoom = 4000; // far enough to take in the heliopause
+// allow getting much closer to small locked bodies (a few radii from Phobos)
+function currentMinZoom() {
+  if (!lockedPlanet) return minZoom;
+  return Math.min(minZoom, lockedPlanet.visualSize * 1.05);
+}
+const sensitivity = 0.0014;
+let dragging = false,
+  lastX = 0,
+  lastY = 0;
+
+// --- pointer input (mouse, pen and touch) ---
+// Mouse and pen drag to orbit with momentum. One finger does the same; two
+// fingers pinch to zoom, twist to turn and move together to pan. A tap locks
+// onto a body and a long press shows its tooltip.
+const TAP_MAX_MOVE = 10; // px
+const TAP_MAX_TIME = 300; // ms
+const LONG_PRESS_TIME = 500; // ms
+const touches = new Map(); // pointerId -> { x, y, startX, startY, start, moved }
+let pinch = null; // distance, angle and midpoint of the first two touches
+let longPressTimer = 0;
+let longPressing = false;
+let pendingTap = false; // a tap waiting for the next hover pass to pick a body
+// screen-space pan added to the orbit target; folded in when a flight starts
+const panOffset = vec3.create();
+
+function dragBy(dx, dy) {
+  yaw -= dx * sensitivity; // inverted/hands-on drag
+  pitch += dy * sensitivity;
+  yawVel = -dx * sensitivity * 0.8; // momentum proportional to drag
+  pitchVel = -dy * sensitivity * 0.8;
+}
+
+// keep hover away from the fingers unless a tap or long press asks for it
+function clearTouchPointer() {
+  pointerX = pointerY = -1e4;
+}
+
+function pinchState() {
+  const [a, b] = touches.values();
+  return {
+    dist: Math.hypot(b.x - a.x, b.y - a.y),
+    angle: Math.atan2(b.y - a.y, b.x - a.x),
+    midX: (a.x + b.x) / 2,
+    midY: (a.y + b.y) / 2,
+  };
+}
+
+function applyPinch(from, to) {
+  if (freeFly) return; // no orbit target to zoom to or pan
+  if (from.dist > 0 && to.dist > 0) {
+    targetRadius = Math.max(currentMinZoom(), Math.min(maxZoom, (targetRadius * from.dist) / to.dist));
+  }
+  // screen angles grow clockwise, so a clockwise twist turns the scene with the fingers
+  yaw += wrapAngle(to.angle - from.angle);
+  // move the target so the scene under the fingers follows them
+  const forward = cameraForward(vec3.create());
+  const q = quat.create();
+  quat.multiply(q, quat.setAxisAngle(quat.create(), [0, 1, 0], yaw), quat.setAxisAngle(quat.create(), [1, 0, 0], pitch));
+  const up = vec3.transformQuat(vec3.create(), [0, 1, 0], q);
+  const right = vec3.cross(vec3.create(), forward, up);
+  const unitsPerPx = (2 * radiusCam * Math.tan(Math.PI / 8)) / Math.max(1, window.innerHeight);
+  vec3.scaleAndAdd(panOffset, panOffset, right, -(to.midX - from.midX) * unitsPerPx);
+  vec3.scaleAndAdd(panOffset, panOffset, up, (to.midY - from.midY) * unitsPerPx);
+}
+
+function touchStart(e) {
+  touches.set(e.pointerId, {
+    x: e.clientX,
+    y: e.clientY,
+    startX: e.clientX,
+    startY: e.clientY,
+    start: performance.now(),
+    moved: false,
+  });
+  clearTimeout(longPressTimer);
+  longPressing = false;
+  clearTouchPointer();
+  if (touches.size === 1) {
+    dragging = true;
+    lastX = e.clientX;
+    lastY = e.clientY;
+    yawVel = pitchVel = 0;
+    const t = touches.get(e.pointerId);
+    longPressTimer = setTimeout(() => {
+      if (touches.size !== 1 || t.moved) return;
+      longPressing = true;
+      dragging = false;
+      pointerX = t.x;
+      pointerY = t.y;
+    }, LONG_PRESS_TIME);
+  } else {
+    dragging = false;
+    pinch = pinchState();
+  }
+}
+
+function touchMove(e) {
+  const t = touches.get(e.pointerId);
+  if (!t) return;
+  t.x = e.clientX;
+  t.y = e.clientY;
+  if (!t.moved && Math.hypot(t.x - t.startX, t.y - t.startY) > TAP_MAX_MOVE) {
+    t.moved = true;
+    if (!longPressing) clearTimeout(longPressTimer);
+  }
+  if (longPressing) {
+    // the tooltip follows the finger until it lifts
+    pointerX = t.x;
+    pointerY = t.y;
+  } else if (touches.size === 1 && dragging) {
+    dragBy(t.x - lastX, t.y - lastY);
+    lastX = t.x;
+    lastY = t.y;
+  } else if (touches.size >= 2 && pinch) {
+    const next = pinchState();
+    applyPinch(pinch, next);
+    pinch = next;
+  }
+}
+
+function touchEnd(e) {
+  const t = touches.get(e.pointerId);
+  if (!t) return;
+  touches.delete(e.pointerId);
+  clearTimeout(longPressTimer);
+  const tap =
+    e.type === 'pointerup' &&
+    touches.size === 0 &&
+    !pinch &&
+    !longPressing &&
+    !t.moved &&
+    performance.now() - t.start < TAP_MAX_TIME;
+  longPressing = false;
+  if (tap) {
+    yawVel = pitchVel = 0;
+    pointerX = t.x;
+    pointerY = t.y;
+    pendingTap = true;
+  } else {
+    clearTouchPointer();
+  }
+  if (touches.size === 1) {
+    // back to one finger: carry on orbiting from where it is now
+    const [rest] = touches.values();
+    rest.moved = true;
+    dragging = true;
+    lastX = rest.x;
+    lastY = rest.y;
+    yawVel = pitchVel = 0;
+    pinch = null;
+  } else if (touches.size >= 2) {
+    pinch = pinchState();
+  } else {
+    dragging = false;
+    pinch = null;
+  }
+}
+
+canvas.addEventListener('pointerdown', (e) => {
+  lastPointerType = e.pointerType;
+  cancelFlight();
+  canvas.setPointerCapture(e.pointerId);
+  if (e.pointerType === 'touch') {
+    touchStart(e);
+    return;
+  }
+  dragging = true;
+  lastX = e.clientX;
+  lastY = e.clientY;
+  yawVel = pitchVel = 0;
+});
+canvas.addEventListener('pointermove', (e) => {
+  if (e.pointerType === 'touch') {
+    touchMove(e);
+    return;
+  }
+  if (!dragging) return;
+  dragBy(e.clientX - lastX, e.clientY - lastY);
+  lastX = e.clientX;
+  lastY = e.clientY;
+});
+for (const type of ['pointerup', 'pointercancel']) {
+  canvas.addEventListener(type, (e) => {
+    if (e.pointerType === 'touch') touchEnd(e);
+    else dragging = false;
+  });
+}
+canvas.addEventListener('pointerleave', (e) => {
+  if (e.pointerType !== 'touch') dragging = false;
+});
+// a long press would otherwise open the context menu
+canvas.addEventListener('contextmenu', (e) => {
+  if (lastPointerType === 'touch') e.preventDefault();
+});
+canvas.addEventListener(
+  "wheel",
+  (e) => {
+    e.preventDefault();
+    cancelFlight();
+    // multiplicative steps so zooming feels the same near a moon or the whole system
+    targetRadius *= Math.exp(e.deltaY * 0.002);
+    targetRadius = Math.max(currentMinZoom(), Math.min(maxZoom, targetRadius));
+  },
+  { passive: false }
+);
+
+const velocityDamping = 0.94;
+const zoomSmooth = 0.14;
+
+// --- camera flights (eased moves between bodies) ---
+// A flight moves the target, distance and angles together. The target is kept
+// as an offset from the body that shrinks to zero, so moving bodies are caught
+// up with; the distance is interpolated logarithmically so a jump from the
+// outer planets to a moon doesn't spend most of its time zooming.
+const FLIGHT_PITCH = 0.35; // default elevation above the body (rad)
+const FLIGHT_SUN_ANGLE = 40 * DEG; // default view from this far off the sunward side
+const ORIGIN = vec3.create();
+let flight = null;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// a distance that shows the body (and its rings) with room around it
+function framingRadius(body) {
+  if (!body) return targetRadius;
+  const extent = body.rings ? Math.max(...body.rings.map((r) => r.outer)) : 1;
+  return body.visualSize * extent * 6;
+}
+
+// fly to `body` (null for the star system as a whole). distance is in radii of
+// the body (scene units without one), yaw/pitch in radians and duration in
+// seconds; anything left out gets a sensible default.
+function flyTo(body, { distance, yaw: toYaw, pitch: toPitch, duration } = {}) {
+  lockedPlanet = body;
+  lockFollow = body;
+  const radius = Math.max(
+    currentMinZoom(),
+    Math.min(maxZoom, distance !== undefined ? distance * (body ? body.visualSize : 1) : framingRadius(body))
+  );
+  if (toYaw === undefined) {
+    toYaw = yaw;
+    if (body && !body.isSun) {
+      // look at the body from the day side, a little off the sun line
+      const dx = sun.worldPos[0] - body.worldPos[0],
+        dz = sun.worldPos[2] - body.worldPos[2];
+      toYaw = Math.atan2(-dx, -dz) + FLIGHT_SUN_ANGLE;
+    }
+  }
+  if (toPitch === undefined) toPitch = FLIGHT_PITCH;
+  const anchor = body ? body.worldPos : ORIGIN;
+  // start from the panned view so the flight doesn't jump
+  vec3.add(cameraTarget, cameraTarget, panOffset);
+  vec3.zero(panOffset);
+  const offset = vec3.sub(vec3.create(), cameraTarget, anchor);
+  if (duration === undefined) {
+    // longer for bigger changes of scale and longer trips
+    const travel = vec3.length(offset) / Math.max(radiusCam, radius);
+    duration = Math.min(4, Math.max(1, 1 + 0.35 * Math.abs(Math.log(radius / radiusCam)) + 0.35 * Math.log1p(travel)));
+  }
+  flight = {
+    body,
+    start: frameClock,
+    duration: Math.max(0.001, duration) * 1000,
+    offset,
+    fromRadius: radiusCam,
+    toRadius: radius,
+    fromYaw: yaw,
+    deltaYaw: wrapAngle(toYaw - yaw),
+    fromPitch: pitch,
+    toPitch: Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, toPitch)),
+  };
+  yawVel = pitchVel = 0;
+}
+
+// advance the current flight; false once there is none
+function updateFlight(now) {
+  // unlocking or locking something else ends it
+  if (!flight || flight.body !== lockedPlanet) {
+    flight = null;
+    return false;
+  }
+  const f = flight;
+  const t = Math.min(1, (now - f.start) / f.duration);
+  const e = easeInOutCubic(t);
+  vec3.scaleAndAdd(cameraTarget, f.body ? f.body.worldPos : ORIGIN, f.offset, 1 - e);
+  radiusCam = targetRadius = f.fromRadius * Math.pow(f.toRadius / f.fromRadius, e);
+  yaw = f.fromYaw + f.deltaYaw * e;
+  pitch = f.fromPitch + (f.toPitch - f.fromPitch) * e;
+  if (t >= 1) {
+    flight = null;
+    vec3.zero(lockOffset);
+  }
+  return true;
+}
+
+// the user took over: stay where the flight got to and follow from there
+function cancelFlight() {
+  if (!flight) return;
+  if (flight.body) vec3.sub(lockOffset, cameraTarget, flight.body.worldPos);
+  flight = null;
+}
+
+// --- guided tours (JSON keyframes, see tours/README.md) ---
+const DEFAULT_TOUR_URL = 'tours/grand-tour.json';
+const TOUR_KEYS = ['name', 'description', 'keyframes'];
+const KEYFRAME_KEYS = ['body', 'distance', 'yaw', 'pitch', 'timeRate', 'caption', 'duration', 'flight'];
+const tourBarEl = document.getElementById('tourBar');
+const tourCaptionEl = document.getElementById('tourCaption');
+const tourProgressEl = document.getElementById('tourProgress');
+const tourPlayBtn = document.getElementById('tourPlayBtn');
+let tour = null; // { def, index, elapsed (s), playing }
+
+// every body a tour (or anything else) can refer to by name
+function findBody(name) {
+  if (sun && sun.name === name) return sun;
+  for (const p of planets) {
+    if (p.name === name) return p;
+    const m = p.moons && p.moons.find((moon) => moon.name === name);
+    if (m) return m;
+  }
+  return comets.find((c) => c.name === name) || null;
+}
+
+function validateTour(def) {
+  const errors = [];
+  const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  if (!isObject(def)) return ['the file must contain a JSON object'];
+  for (const key of Object.keys(def)) if (!TOUR_KEYS.includes(key)) fail(key, 'unknown property');
+  if (!Array.isArray(def.keyframes) || !def.keyframes.length) {
+    fail('keyframes', 'must be a non-empty list');
+    return errors;
+  }
+  def.keyframes.forEach((kf, k) => {
+    const path = `keyframes[${k}]`;
+    if (!isObject(kf)) return fail(path, 'must be an object');
+    for (const key of Object.keys(kf)) if (!KEYFRAME_KEYS.includes(key)) fail(`${path}.${key}`, 'unknown property');
+    if (kf.body !== undefined && !findBody(kf.body)) fail(`${path}.body`, `no body named "${kf.body}" in this scene`);
+    if (kf.caption !== undefined && typeof kf.caption !== 'string') fail(`${path}.caption`, 'must be a string');
+    if (!isNumber(kf.duration) || kf.duration <= 0) fail(`${path}.duration`, 'must be a number of seconds greater than 0');
+    for (const key of ['distance', 'flight']) {
+      if (kf[key] !== undefined && !(isNumber(kf[key]) && kf[key] > 0)) fail(`${path}.${key}`, 'must be a number greater than 0');
+    }
+    for (const key of ['yaw', 'pitch', 'timeRate']) {
+      if (kf[key] !== undefined && !isNumber(kf[key])) fail(`${path}.${key}`, 'must be a number');
+    }
+    if (isNumber(kf.pitch) && Math.abs(kf.pitch) >= 90) fail(`${path}.pitch`, 'must be between -90 and 90');
+  });
+  return errors;
+}
+
+function startTour(def, source) {
+  const errors = validateTour(def);
+  if (errors.length) {
+    showSceneErrors(source, errors, 'tour');
+    return false;
+  }
+  tour = { def, index: -1, elapsed: 0, playing: true };
+  if (tourBarEl) tourBarEl.style.display = 'flex';
+  showKeyframe(0);
+  return true;
+}
+
+function showKeyframe(index) {
+  const keyframes = tour.def.keyframes;
+  if (index >= keyframes.length) return stopTour();
+  const kf = keyframes[index];
+  tour.index = index;
+  tour.elapsed = 0;
+  if (kf.timeRate !== undefined) setTimeRate(kf.timeRate);
+  // bodies can disappear (another scene, physics mode); fall back to the overview
+  const body = kf.body !== undefined ? findBody(kf.body) : null;
+  flyTo(body, {
+    distance: kf.distance,
+    yaw: kf.yaw !== undefined ? kf.yaw * DEG : undefined,
+    pitch: kf.pitch !== undefined ? kf.pitch * DEG : undefined,
+    duration: kf.flight !== undefined ? Math.min(kf.flight, kf.duration) : undefined,
+  });
+  if (tourCaptionEl) tourCaptionEl.textContent = kf.caption || '';
+  if (tourProgressEl) tourProgressEl.textContent = `${index + 1} / ${keyframes.length}`;
+}
+
+function stopTour() {
+  tour = null;
+  if (tourBarEl) tourBarEl.style.display = 'none';
+}
+
+function setTourPlaying(playing) {
+  if (!tour) return;
+  tour.playing = playing;
+  if (tourPlayBtn) tourPlayBtn.textContent = playing ? 'Pause' : 'Play';
+}
+
+// called every frame with the real time elapsed (s)
+function advanceTour(dt) {
+  if (!tour || !tour.playing) return;
+  tour.elapsed += dt;
+  if (tour.elapsed >= tour.def.keyframes[tour.index].duration) showKeyframe(tour.index + 1);
+}
+
+function loadTourText(text, source) {
+  let def;
+  try {
+    def = JSON.parse(text);
+  } catch (err) {
+    showSceneErrors(source, [`not valid JSON (${err.message})`], 'tour');
+    return false;
+  }
+  return startTour(def, source);
+}
+
+function fetchTour(url) {
+  return fetch(new URL(url, document.baseURI).href)
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    })
+    .then(
+      (text) => loadTourText(text, url),
+      (err) => {
+        showSceneErrors(url, [`could not be fetched (${err.message})`], 'tour');
+        return false;
+      }
+    );
+}
+
+const tourBtn = document.getElementById('tourBtn');
+if (tourBtn) {
+  tourBtn.addEventListener('click', () => {
+    if (tour) stopTour();
+    else fetchTour(DEFAULT_TOUR_URL).then((ok) => ok && hideSceneErrors());
+  });
+}
+if (tourPlayBtn) tourPlayBtn.addEventListener('click', () => tour && setTourPlaying(!tour.playing));
+const tourSkipBtn = document.getElementById('tourSkipBtn');
+if (tourSkipBtn) tourSkipBtn.addEventListener('click', () => tour && showKeyframe(tour.index + 1));
+const tourStopBtn = document.getElementById('tourStopBtn');
+if (tourStopBtn) tourStopBtn.addEventListener('click', stopTour);
+
+// --- keyboard (remappable, see the help overlay) ---
+// Bindings use KeyboardEvent.code so they stay in place on any layout. Each
+// action belongs to a mode: orbit-camera actions and free-fly actions can share
+// keys (WASD) because only one of the two cameras is active at a time.
+const KEY_ACTIONS = [
+  { id: 'orbitLeft', label: 'Orbit left', mode: 'orbit', keys: ['ArrowLeft', 'KeyA'] },
+  { id: 'orbitRight', label: 'Orbit right', mode: 'orbit', keys: ['ArrowRight', 'KeyD'] },
+  { id: 'orbitUp', label: 'Orbit up', mode: 'orbit', keys: ['ArrowUp', 'KeyW'] },
+  { id: 'orbitDown', label: 'Orbit down', mode: 'orbit', keys: ['ArrowDown', 'KeyS'] },
+  { id: 'zoomIn', label: 'Zoom in', mode: 'orbit', keys: ['Equal', 'NumpadAdd'] },
+  { id: 'zoomOut', label: 'Zoom out', mode: 'orbit', keys: ['Minus', 'NumpadSubtract'] },
+  { id: 'flyForward', label: 'Fly forward', mode: 'fly', keys: ['KeyW', 'ArrowUp'] },
+  { id: 'flyBack', label: 'Fly back', mode: 'fly', keys: ['KeyS', 'ArrowDown'] },
+  { id: 'flyLeft', label: 'Fly left', mode: 'fly', keys: ['KeyA', 'ArrowLeft'] },
+  { id: 'flyRight', label: 'Fly right', mode: 'fly', keys: ['KeyD', 'ArrowRight'] },
+  { id: 'flyUp', label: 'Fly up', mode: 'fly', keys: ['KeyE'] },
+  { id: 'flyDown', label: 'Fly down', mode: 'fly', keys: ['KeyQ'] },
+  { id: 'flyBoost', label: 'Fly faster (hold)', mode: 'fly', keys: ['ShiftLeft', 'ShiftRight'] },
+  { id: 'pause', label: 'Pause / resume time', mode: 'any', keys: ['Space'] },
+  { id: 'reverse', label: 'Reverse time', mode: 'any', keys: ['KeyR'] },
+  { id: 'stepBack', label: 'Step time back', mode: 'any', keys: ['Comma'] },
+  { id: 'stepForward', label: 'Step time forward', mode: 'any', keys: ['Period'] },
+  { id: 'slower', label: 'Halve the time rate', mode: 'any', keys: ['BracketLeft'] },
+  { id: 'faster', label: 'Double the time rate', mode: 'any', keys: ['BracketRight'] },
+  { id: 'unlock', label: 'Unlock / leave free fly', mode: 'any', keys: ['Escape'] },
+  { id: 'freeFly', label: 'Free-fly camera on / off', mode: 'any', keys: ['KeyF'] },
+  { id: 'lockStar', label: 'Lock the star', mode: 'any', keys: ['Digit0', 'Numpad0'] },
+  { id: 'scaleMode', label: 'Next scale (visual, log, true)', mode: 'any', keys: ['KeyL'] },
+  { id: 'labels', label: 'Next labels (off, planets, moons, everything)', mode: 'any', keys: ['KeyN'] },
+  ...Array.from({ length: 9 }, (_, k) => ({
+    id: `lockPlanet${k + 1}`,
+    label: `Lock planet ${k + 1}`,
+    mode: 'any',
+    keys: [`Digit${k + 1}`, `Numpad${k + 1}`],
+  })),
+  { id: 'palette', label: 'Search bodies and commands', mode: 'any', keys: ['KeyK'] },
+  { id: 'help', label: 'Keyboard help', mode: 'any', keys: ['KeyH', 'Slash'] },
+];
+const KEYMAP_STORAGE_KEY = 'solarSystem.keymap';
+const ORBIT_KEY_RATE = 1.2; // rad/s
+const ZOOM_KEY_RATE = 1.5; // e-folds/s
+const helpOverlayEl = document.getElementById('helpOverlay');
+const keymapListEl = document.getElementById('keymapList');
+const freeFlyBtn = document.getElementById('freeFlyBtn');
+const keysDown = new Set();
+let keymap = loadKeymap();
+let rebinding = null; // action id waiting for its new key
+let freeFly = false;
+const flyPos = vec3.create();
+const flyVel = vec3.create();
+const lastEye = vec3.create(); // where the orbit camera was last frame
+
+function defaultKeymap() {
+  return Object.fromEntries(KEY_ACTIONS.map((a) => [a.id, a.keys.slice()]));
+}
+
+// saved bindings over the defaults; storage can be unavailable (private mode)
+function loadKeymap() {
+  const map = defaultKeymap();
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || '{}');
+    for (const [id, keys] of Object.entries(saved)) {
+      if (id in map && Array.isArray(keys) && keys.every((k) => typeof k === 'string')) map[id] = keys;
+    }
+  } catch {
+    // keep the defaults
+  }
+  return map;
+}
+
+function saveKeymap() {
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(keymap));
+  } catch {
+    // bindings just won't survive a reload
+  }
+}
+
+function actionActive(action) {
+  return action.mode === 'any' || (action.mode === 'fly') === freeFly;
+}
+
+function actionHeld(id) {
+  return keymap[id].some((code) => keysDown.has(code));
+}
+
+// "KeyA" -> "A", "ArrowLeft" -> "←", ...
+const KEY_NAMES = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Equal: '=', Minus: '-', Slash: '/',
+  Escape: 'Esc', Space: 'Space', ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift',
+  NumpadAdd: 'Num +', NumpadSubtract: 'Num -',
+};
+function keyName(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  const m = /^(?:Key|Digit)(.)$/.exec(code) || /^Numpad(\d)$/.exec(code);
+  if (m) return code.startsWith('Numpad') ? `Num ${m[1]}` : m[1];
+  return code;
+}
+
+function runKeyAction(id) {
+  if (id.startsWith('lockPlanet')) {
+    const p = planets[Number(id.slice('lockPlanet'.length)) - 1];
+    if (p) lockedPlanet = p;
+    return;
+  }
+  switch (id) {
+    case 'pause':
+      togglePause();
+      break;
+    case 'reverse':
+      reverseTime();
+      break;
+    case 'stepBack':
+      stepTime(-1);
+      break;
+    case 'stepForward':
+      stepTime(1);
+      break;
+    case 'slower':
+      scaleTimeRate(0.5);
+      break;
+    case 'faster':
+      scaleTimeRate(2);
+      break;
+    case 'unlock':
+      if (freeFly) setFreeFly(false);
+      else lockedPlanet = null;
+      break;
+    case 'freeFly':
+      setFreeFly(!freeFly);
+      break;
+    case 'lockStar':
+      lockedPlanet = sun;
+      break;
+    case 'scaleMode': {
+      const modes = Object.keys(SCALE_MODES);
+      setScaleMode(modes[(modes.indexOf(scaleLayout.mode) + 1) % modes.length]);
+      break;
+    }
+    case 'labels': {
+      const filters = Object.keys(LABEL_FILTERS);
+      setLabelFilter(filters[(filters.indexOf(labelFilter) + 1) % filters.length]);
+      break;
+    }
+    case 'palette':
+      openPalette();
+      break;
+    case 'help':
+      toggleHelp();
+      break;
+  }
+}
+
+window.addEventListener('keydown', (e) => {
+  if (rebinding) {
+    e.preventDefault();
+    if (e.code !== 'Escape') {
+      keymap[rebinding] = [e.code];
+      saveKeymap();
+    }
+    rebinding = null;
+    renderKeymap();
+    return;
+  }
+  // leave typing in form fields and browser shortcuts alone
+  const tag = e.target && e.target.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.code === 'Escape' && helpOverlayEl && helpOverlayEl.style.display === 'block') {
+    toggleHelp();
+    return;
+  }
+  const actions = KEY_ACTIONS.filter((a) => actionActive(a) && keymap[a.id].includes(e.code));
+  if (!actions.length) return;
+  e.preventDefault();
+  keysDown.add(e.code);
+  if (e.repeat) return;
+  for (const a of actions) runKeyAction(a.id);
+});
+window.addEventListener('keyup', (e) => keysDown.delete(e.code));
+// keys released while the page was in the background never send keyup
+window.addEventListener('blur', () => keysDown.clear());
+
+// held keys: orbit/zoom the orbit camera, or move the free-fly camera
+function applyHeldKeys(dt) {
+  if (freeFly) return;
+  const turn = (actionHeld('orbitRight') ? 1 : 0) - (actionHeld('orbitLeft') ? 1 : 0);
+  const tilt = (actionHeld('orbitUp') ? 1 : 0) - (actionHeld('orbitDown') ? 1 : 0);
+  const zoom = (actionHeld('zoomOut') ? 1 : 0) - (actionHeld('zoomIn') ? 1 : 0);
+  if (!turn && !tilt && !zoom) return;
+  cancelFlight();
+  yaw += turn * ORBIT_KEY_RATE * dt;
+  pitch += tilt * ORBIT_KEY_RATE * dt;
+  targetRadius = Math.max(currentMinZoom(), Math.min(maxZoom, targetRadius * Math.exp(zoom * ZOOM_KEY_RATE * dt)));
+}
+
+// --- free-fly camera ---
+// The eye moves freely and the mouse drag looks around. Speed follows the
+// distance to the nearest surface so crossing the system is quick but
+// approaching a moon is still controllable.
+function setFreeFly(on) {
+  if (on === freeFly) return;
+  freeFly = on;
+  const forward = cameraForward(vec3.create());
+  if (on) {
+    vec3.copy(flyPos, lastEye);
+    vec3.zero(flyVel);
+    lockedPlanet = null;
+    flight = null;
+    stopTour();
+  } else {
+    // hand back to the orbit camera without moving the eye
+    vec3.scaleAndAdd(cameraTarget, flyPos, forward, radiusCam);
+    vec3.zero(panOffset);
+  }
+  yawVel = pitchVel = 0;
+  if (freeFlyBtn) freeFlyBtn.textContent = on ? 'Free fly: On' : 'Free fly: Off';
+}
+
+function cameraForward(out) {
+  const q = quat.create();
+  quat.multiply(q, quat.setAxisAngle(quat.create(), [0, 1, 0], yaw), quat.setAxisAngle(quat.create(), [1, 0, 0], pitch));
+  return vec3.transformQuat(out, [0, 0, 1], q);
+}
+
+// distance from the eye to the closest surface, pushing the eye back out of any body
+const _flyAway = vec3.create();
+function nearestSurfaceDistance(eye) {
+  let nearest = Infinity;
+  for (const b of physicsBodies()) {
+    vec3.sub(_flyAway, eye, b.worldPos);
+    const d = vec3.length(_flyAway);
+    const clearance = b.visualSize * 1.05;
+    if (d < clearance && d > 0) vec3.scaleAndAdd(eye, b.worldPos, _flyAway, clearance / d);
+    nearest = Math.min(nearest, Math.max(0, d - b.visualSize));
+  }
+  return nearest;
+}
+
+const _flyWish = vec3.create();
+function updateFreeFly(dt, forward, up) {
+  const right = vec3.cross(vec3.create(), forward, up);
+  const along = (actionHeld('flyForward') ? 1 : 0) - (actionHeld('flyBack') ? 1 : 0);
+  const side = (actionHeld('flyRight') ? 1 : 0) - (actionHeld('flyLeft') ? 1 : 0);
+  const lift = (actionHeld('flyUp') ? 1 : 0) - (actionHeld('flyDown') ? 1 : 0);
+  vec3.zero(_flyWish);
+  vec3.scaleAndAdd(_flyWish, _flyWish, forward, along);
+  vec3.scaleAndAdd(_flyWish, _flyWish, right, side);
+  vec3.scaleAndAdd(_flyWish, _flyWish, up, lift);
+  if (vec3.length(_flyWish) > 0) vec3.normalize(_flyWish, _flyWish);
+  const nearest = nearestSurfaceDistance(flyPos);
+  const speed = Math.min(200, Math.max(1e-6, nearest * 0.8)) * (actionHeld('flyBoost') ? 5 : 1);
+  vec3.scale(_flyWish, _flyWish, speed);
+  // ease into and out of motion
+  vec3.lerp(flyVel, flyVel, _flyWish, Math.min(1, dt * 6));
+  vec3.scaleAndAdd(flyPos, flyPos, flyVel, dt);
+  return nearest;
+}
+
+// --- help overlay (bindings, with remapping) ---
+function toggleHelp() {
+  if (!helpOverlayEl) return;
+  const open = helpOverlayEl.style.display !== 'block';
+  helpOverlayEl.style.display = open ? 'block' : 'none';
+  rebinding = null;
+  if (open) renderKeymap();
+}
+
+function renderKeymap() {
+  if (!keymapListEl) return;
+  keymapListEl.textContent = '';
+  const groups = [
+    ['orbit', 'Orbit camera'],
+    ['fly', 'Free fly'],
+    ['any', 'Anywhere'],
+  ];
+  for (const [mode, title] of groups) {
+    const h = document.createElement('div');
+    h.className = 'keymapGroup';
+    h.textContent = title;
+    keymapListEl.appendChild(h);
+    for (const a of KEY_ACTIONS.filter((action) => action.mode === mode)) {
+      const row = document.createElement('div');
+      row.className = 'keymapRow';
+      const label = document.createElement('span');
+      const planet = a.id.startsWith('lockPlanet') && planets[Number(a.id.slice('lockPlanet'.length)) - 1];
+      label.textContent = planet ? `Lock ${planet.name}` : a.label;
+      const keys = document.createElement('span');
+      keys.className = 'keymapKeys';
+      keys.textContent = rebinding === a.id ? 'Press a key… (Esc cancels)' : keymap[a.id].map(keyName).join(', ') || '—';
+      const btn = document.createElement('button');
+      btn.textContent = 'Change';
+      btn.addEventListener('click', () => {
+        rebinding = a.id;
+        renderKeymap();
+      });
+      row.append(label, keys, btn);
+      keymapListEl.appendChild(row);
+    }
+  }
+}
+
+const keymapResetBtn = document.getElementById('keymapResetBtn');
+if (keymapResetBtn) {
+  keymapResetBtn.addEventListener('click', () => {
+    keymap = defaultKeymap();
+    saveKeymap();
+    renderKeymap();
+  });
+}
+const helpCloseBtn = document.getElementById('helpCloseBtn');
+if (helpCloseBtn) helpCloseBtn.addEventListener('click', toggleHelp);
+const helpBtn = document.getElementById('helpBtn');
+if (helpBtn) helpBtn.addEventListener('click', toggleHelp);
+if (freeFlyBtn) freeFlyBtn.addEventListener('click', () => setFreeFly(!freeFly));
+
+// --- permalink (view state in the URL hash) ---
+// e.g. #body=Io&jd=2460601.25&paused=1&yaw=0.4&pitch=0.35&r=0.2 opens on Io,
+// paused at that date. The hash follows the view once it has settled for a
+// moment (while the clock runs the date alone doesn't count as a change) and
+// is applied when the page loads or the hash is edited.
+const PERMALINK_POLL_MS = 250;
+const PERMALINK_DEBOUNCE_MS = 600;
+const copyLinkBtn = document.getElementById('copyLinkBtn');
+let permalinkPolled = 0;
+let permalinkKey = '';
+let permalinkDue = 0;
+
+function viewStateParams() {
+  const params = new URLSearchParams();
+  if (lockedPlanet && !lockedPlanet.isCraft) params.set('body', lockedPlanet.name);
+  params.set('jd', simJD.toFixed(5));
+  params.set('rate', String(+timeRate.toPrecision(6)));
+  if (paused) params.set('paused', '1');
+  params.set('yaw', yaw.toFixed(4));
+  params.set('pitch', pitch.toFixed(4));
+  params.set('r', String(+targetRadius.toPrecision(5)));
+  if (vec3.length(panOffset) > 0) params.set('pan', Array.from(panOffset, (v) => +v.toPrecision(5)).join(','));
+  params.set('sun', String(+sunEmissive.toFixed(1)));
+  if (!gridVisible) params.set('grid', '0');
+  if (!orbitsVisible) params.set('orbits', '0');
+  if (scaleLayout.mode !== 'visual') params.set('scale', scaleLayout.mode);
+  if (labelFilter !== 'off') params.set('labels', labelFilter);
+  if (hdrSupported && toneMapping !== 'aces') params.set('tone', toneMapping);
+  if (exposureEV) params.set('ev', exposureEV.toFixed(1));
+  return params;
+}
+
+function permalinkUrl() {
+  const url = new URL(window.location.href);
+  url.hash = viewStateParams().toString();
+  return url.href;
+}
+
+// anything missing or unreadable keeps its current value
+function applyViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const num = (key) => {
+    const v = params.has(key) ? Number(params.get(key)) : NaN;
+    return Number.isFinite(v) ? v : null;
+  };
+  const jd = num('jd');
+  if (jd !== null) setSimDate(jd);
+  const rate = num('rate');
+  if (rate !== null) setTimeRate(rate);
+  if (params.has('paused') || jd !== null) {
+    if (paused !== (params.get('paused') === '1')) togglePause();
+  }
+  if (params.has('scale')) setScaleMode(params.get('scale'), false);
+  const body = params.has('body') && findBody(params.get('body'));
+  if (body) {
+    // arrive already framed instead of flying in
+    stopTour();
+    setFreeFly(false);
+    lockedPlanet = body;
+    lockFollow = body;
+    flight = null;
+    vec3.zero(lockOffset);
+  } else if (params.has('yaw')) {
+    lockedPlanet = null;
+  }
+  const yawValue = num('yaw');
+  if (yawValue !== null) yaw = yawValue;
+  const pitchValue = num('pitch');
+  if (pitchValue !== null) pitch = pitchValue;
+  const r = num('r');
+  if (r !== null && r > 0) radiusCam = targetRadius = r;
+  yawVel = pitchVel = 0;
+  const pan = (params.get('pan') || '').split(',').map(Number);
+  if (pan.length === 3 && pan.every(Number.isFinite)) vec3.copy(panOffset, pan);
+  else if (params.has('yaw')) vec3.zero(panOffset);
+  const sunValue = num('sun');
+  if (sunValue !== null) setSunEmissive(Math.max(0, Math.min(10, sunValue)));
+  if (params.has('grid')) setGridVisible(params.get('grid') !== '0');
+  if (params.has('labels')) setLabelFilter(params.get('labels'));
+  if (params.has('tone')) setToneMapping(params.get('tone'));
+  const ev = num('ev');
+  if (ev !== null) setExposure(Math.max(-4, Math.min(4, ev)));
+  if (params.has('orbits')) setOrbitsVisible(params.get('orbits') !== '0');
+  // don't echo the state straight back
+  permalinkKey = permalinkStateKey();
+  permalinkDue = 0;
+}
+
+function permalinkStateKey() {
+  const params = viewStateParams();
+  if (!paused) params.delete('jd');
+  return params.toString();
+}
+
+// called every frame; rewrites the hash once the view has been still long enough
+function updatePermalink(now) {
+  if (now - permalinkPolled < PERMALINK_POLL_MS) return;
+  permalinkPolled = now;
+  const key = permalinkStateKey();
+  if (key !== permalinkKey) {
+    permalinkKey = key;
+    permalinkDue = now + PERMALINK_DEBOUNCE_MS;
+  }
+  if (permalinkDue && now >= permalinkDue) {
+    permalinkDue = 0;
+    // replaceState: no history entry and no hashchange event
+    history.replaceState(null, '', permalinkUrl());
+  }
+}
+
+window.addEventListener('hashchange', () => applyViewState(window.location.hash));
+
+if (copyLinkBtn) {
+  copyLinkBtn.addEventListener('click', async () => {
+    const url = permalinkUrl();
+    history.replaceState(null, '', url);
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(url);
+      copied = true;
+    } catch {
+      // no clipboard access (insecure page, denied); the address bar has it
+    }
+    copyLinkBtn.textContent = copied ? 'Copied!' : 'Link in address bar';
+    setTimeout(() => {
+      copyLinkBtn.textContent = 'Copy link';
+    }, 1500);
+  });
+}
+
+// --- command palette ---
+// Type to find any body (fuzzy, so "dms" finds Deimos) and fly to it, or run
+// any of the bottom bar's controls. Commands that take a value read it from
+// the query: "speed 2 hours", "sun 4", "date 2031-05-04 12:00".
+const PALETTE_MAX_ITEMS = 50;
+const paletteEl = document.getElementById('commandPalette');
+const paletteInput = document.getElementById('paletteInput');
+const paletteListEl = document.getElementById('paletteList');
+const RATE_UNITS = { min: 1 / 1440, minute: 1 / 1440, minutes: 1 / 1440, hour: 1 / 24, hours: 1 / 24, day: 1, days: 1, year: 365.25, years: 365.25 };
+let paletteItems = [];
+let paletteIndex = 0;
+
+// subsequence match of `query` in `text`; higher is better, null for no match.
+// Runs of consecutive letters and matches at the start of words score extra.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const i = t.indexOf(ch, from);
+    if (i < 0) return null;
+    run = i === from ? run + 1 : 0;
+    score += 1 + run * 2 + (i === 0 || /[\s(:-]/.test(t[i - 1]) ? 3 : 0) - Math.min(3, i - from) * 0.2;
+    from = i + 1;
+  }
+  // prefer shorter names among equal matches
+  return score - t.length * 0.01;
+}
+
+function bodyKind(body) {
+  if (body === sun) return 'star';
+  if (body.isCraft) return 'spacecraft';
+  if (body.isComet) return 'comet';
+  return body.parent ? `moon of ${body.parent.name}` : 'planet';
+}
+
+// the choices of a bar <select>, each picked as if from the menu
+function selectCommands(select) {
+  if (!select) return [];
+  return Array.from(select.options, (o) => ({
+    label: o.textContent,
+    run: () => {
+      select.value = o.value;
+      select.dispatchEvent(new Event('change'));
+    },
+  }));
+}
+
+function paletteCommands() {
+  const click = (id) => () => {
+    const el = document.getElementById(id);
+    if (el) el.click();
+  };
+  return [
+    { label: paused ? 'Resume time' : 'Pause time', run: togglePause },
+    { label: 'Reset speed and sun brightness', run: resetRateAndSun },
+    { label: timeRate < 0 ? 'Run time forward' : 'Reverse time', run: reverseTime },
+    { label: 'Step time forward', run: () => stepTime(1) },
+    { label: 'Step time back', run: () => stepTime(-1) },
+    { label: 'Date: now', run: () => setSimDate(jdFromMs(Date.now())) },
+    ...Array.from(document.querySelectorAll('[data-rate]'), (btn) => ({
+      label: `Speed: ${btn.textContent}`,
+      run: () => setTimeSpeed(parseFloat(btn.dataset.rate)),
+    })),
+    { label: `Grid: ${gridVisible ? 'hide' : 'show'}`, run: () => setGridVisible(!gridVisible) },
+    { label: `Orbits: ${orbitsVisible ? 'hide' : 'show'}`, run: () => setOrbitsVisible(!orbitsVisible) },
+    ...selectCommands(labelsSelect),
+    ...selectCommands(astCountSelect),
+    ...selectCommands(scaleSelect),
+    ...(hdrSupported ? selectCommands(toneMapSelect) : []),
+    { label: `Physics: ${physicsEnabled ? 'off' : 'on'}`, run: () => setPhysicsEnabled(!physicsEnabled) },
+    { label: `Free fly: ${freeFly ? 'off' : 'on'}`, run: () => setFreeFly(!freeFly) },
+    { label: 'Transfer planner', run: click('transferToggleBtn') },
+    { label: 'Capture panel', run: click('captureToggleBtn') },
+    { label: 'Save PNG', run: saveScreenshot },
+    { label: 'Copy link', run: click('copyLinkBtn') },
+    { label: tour ? 'Stop tour' : 'Play tour', run: click('tourBtn') },
+    { label: 'Keyboard help', run: toggleHelp },
+  ];
+}
+
+// commands carrying a value typed after their name
+function paletteValueCommands(query) {
+  const out = [];
+  let m = /^(?:speed|rate)\s+(-?[\d.]+)\s*([a-z]*)/i.exec(query);
+  if (m && Number.isFinite(+m[1])) {
+    const unit = RATE_UNITS[m[2].toLowerCase()] ?? (m[2] ? null : 1);
+    if (unit !== null) {
+      const rate = +m[1] * unit;
+      out.push({ label: `Speed: ${formatRate(rate)}`, run: () => setTimeRate(rate) });
+    }
+  }
+  m = /^(?:sun|brightness)\s+([\d.]+)/i.exec(query);
+  if (m && Number.isFinite(+m[1])) {
+    const v = Math.min(10, Math.max(0, +m[1]));
+    out.push({ label: `Sun brightness: x${v.toFixed(1)}`, run: () => setSunEmissive(v) });
+  }
+  m = /^(?:exposure|ev)\s+(-?[\d.]+)/i.exec(query);
+  if (m && Number.isFinite(+m[1])) {
+    const ev = Math.min(4, Math.max(-4, +m[1]));
+    out.push({ label: `Exposure: ${ev >= 0 ? '+' : ''}${ev.toFixed(1)} EV`, run: () => setExposure(ev) });
+  }
+  m = /^(?:date|go to)\s+(.+)/i.exec(query);
+  const jd = m && jdFromDateText(m[1]);
+  if (jd) out.push({ label: `Date: ${formatDate(jd)} UTC`, run: () => setSimDate(jd) });
+  return out;
+}
+
+function paletteResults(query) {
+  const bodies = [sun, ...planets.flatMap((p) => [p, ...(p.moons || [])]), ...comets];
+  if (transfer) bodies.push(spacecraft);
+  const entries = [
+    ...bodies.map((body) => ({
+      label: body.name,
+      hint: bodyKind(body),
+      run: () => {
+        setFreeFly(false);
+        stopTour();
+        flyTo(body);
+      },
+    })),
+    ...paletteCommands(),
+  ];
+  const q = query.trim();
+  if (!q) return entries.slice(0, PALETTE_MAX_ITEMS);
+  const scored = [];
+  entries.forEach((entry, order) => {
+    const score = fuzzyScore(q, entry.label);
+    if (score !== null) scored.push({ entry, score, order });
+  });
+  scored.sort((a, b) => b.score - a.score || a.order - b.order);
+  return [...paletteValueCommands(q), ...scored.map((s) => s.entry)].slice(0, PALETTE_MAX_ITEMS);
+}
+
+function renderPalette() {
+  if (!paletteListEl) return;
+  paletteListEl.textContent = '';
+  paletteItems.forEach((item, i) => {
+    const li = document.createElement('li');
+    if (i === paletteIndex) li.className = 'active';
+    const label = document.createElement('span');
+    label.textContent = item.label;
+    li.appendChild(label);
+    if (item.hint) {
+      const hint = document.createElement('span');
+      hint.className = 'paletteHint';
+      hint.textContent = item.hint;
+      li.appendChild(hint);
+    }
+    // pointerdown keeps the input focused, so it doesn't close the palette first
+    li.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      runPaletteItem(i);
+    });
+    paletteListEl.appendChild(li);
+    if (i === paletteIndex && li.scrollIntoView) li.scrollIntoView({ block: 'nearest' });
+  });
+}
 
-// --- camera (quaternion + momentum + smooth zoom) ---
-let yaw = 0,
-  pitch = 0;
-let yawVel = 0,
-  pitchVel = 0;
-let radiusCam = 120,
-  targetRadius = 120; // start zoomed out so full system is visible
-const minZoom = 10,
-  maxZoom = 400;
-const sensitivity = 0.0014;
-let dragging = false,
-  lastX = 0,
-  lastY = 0;
+function updatePalette() {
+  paletteItems = paletteResults(paletteInput.value);
+  paletteIndex = 0;
+  renderPalette();
+}
 
-canvas.addEventListener("mousedown", (e) => {
-  dragging = true;
-  lastX = e.clientX;
-  lastY = e.clientY;
-  yawVel = pitchVel = 0;
-});
-canvas.addEventListener("mouseup", () => {
-  dragging = false;
-});
-canvas.addEventListener("mouseleave", () => {
-  dragging = false;
-});
-canvas.addEventListener("mousemove", (e) => {
-  if (!dragging) return;
-  const dx = e.clientX - lastX;
-  const dy = e.clientY - lastY;
-  lastX = e.clientX;
-  lastY = e.clientY;
-  yaw -= dx * sensitivity; // inverted/hands-on drag
-  pitch += dy * sensitivity;
-  yawVel = -dx * sensitivity * 0.8; // momentum proportional to drag
-  pitchVel = -dy * sensitivity * 0.8;
-});
-canvas.addEventListener(
-  "wheel",
-  (e) => {
-    e.preventDefault();
-    targetRadius += e.deltaY * 0.35; // stronger zoom step
-    targetRadius = Math.max(minZoom, Math.min(maxZoom, targetRadius));
-  },
-  { passive: false }
-);
+function openPalette() {
+  if (!paletteEl || !paletteInput) return;
+  paletteEl.style.display = 'block';
+  paletteInput.value = '';
+  updatePalette();
+  paletteInput.focus();
+}
 
-const velocityDamping = 0.94;
-const zoomSmooth = 0.14;
+function closePalette() {
+  if (!paletteEl || paletteEl.style.display !== 'block') return;
+  paletteEl.style.display = 'none';
+  paletteInput.blur();
+}
+
+function runPaletteItem(i) {
+  const item = paletteItems[i];
+  closePalette();
+  if (item) item.run();
+}
+
+if (paletteInput) {
+  paletteInput.addEventListener('input', updatePalette);
+  paletteInput.addEventListener('blur', closePalette);
+  paletteInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!paletteItems.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      paletteIndex = (paletteIndex + step + paletteItems.length) % paletteItems.length;
+      renderPalette();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runPaletteItem(paletteIndex);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closePalette();
+    }
+  });
+}
+// Ctrl+K / Cmd+K as well, which the remappable keys leave to the browser
+window.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.code === 'KeyK') {
+    e.preventDefault();
+    openPalette();
+  }
+});
+const paletteBtn = document.getElementById('paletteBtn');
+if (paletteBtn) paletteBtn.addEventListener('click', openPalette);
+
+// --- star corona ---
+// A camera-facing quad around the star, added on top of the scene. Its inner
+// edge sits at the limb (the disc covers the rest through the depth test) and
+// it falls off steeply outwards, with a few faint streamers.
+const CORONA_EXTENT = 4; // star radii from the centre to the quad's edge
+const vsCorona = `
+attribute vec2 aCorner;
+uniform mat4 uVP;
+uniform vec3 uCenter; // relative to the eye
+uniform vec3 uRight;
+uniform vec3 uUp;
+uniform float uSize; // scene units from the centre to the quad's edge
+varying vec2 vCorner;
+${LOG_DEPTH_VS}
+void main() {
+  vCorner = aCorner;
+  vec3 p = uCenter + (uRight * aCorner.x + uUp * aCorner.y) * uSize;
+  gl_Position = logDepth(uVP * vec4(p, 1.0));
+}
+`;
+const fsCorona = `${LOG_DEPTH_EXTENSION}
+precision mediump float;
+${LOG_DEPTH_FS}
+varying vec2 vCorner;
+uniform float uExtent; // star radii to the quad's edge
+uniform float uIntensity;
+void main() {
+  writeLogDepth();
+  float r = length(vCorner) * uExtent; // star radii
+  if (r < 1.0 || r > uExtent) discard;
+  float angle = atan(vCorner.y, vCorner.x);
+  float streamers = 1.0 + 0.25 * sin(3.0 * angle + 1.3) * sin(5.0 * angle - 0.4);
+  float glow = pow(r, -3.0) * streamers * (1.0 - smoothstep(0.5 * uExtent, uExtent, r));
+  gl_FragColor = vec4(vec3(1.0, 0.93, 0.8) * uIntensity * glow, 1.0);
+}
+`;
+const coronaProgram = gl.createProgram();
+gl.attachShader(coronaProgram, createShader(gl.VERTEX_SHADER, vsCorona));
+gl.attachShader(coronaProgram, createShader(gl.FRAGMENT_SHADER, fsCorona));
+gl.linkProgram(coronaProgram);
+if (!gl.getProgramParameter(coronaProgram, gl.LINK_STATUS)) console.error(gl.getProgramInfoLog(coronaProgram));
+const aCornerCorona = gl.getAttribLocation(coronaProgram, 'aCorner');
+const uVPCorona = gl.getUniformLocation(coronaProgram, 'uVP');
+const uCenterCorona = gl.getUniformLocation(coronaProgram, 'uCenter');
+const uRightCorona = gl.getUniformLocation(coronaProgram, 'uRight');
+const uUpCorona = gl.getUniformLocation(coronaProgram, 'uUp');
+const uSizeCorona = gl.getUniformLocation(coronaProgram, 'uSize');
+const uExtentCorona = gl.getUniformLocation(coronaProgram, 'uExtent');
+const uIntensityCorona = gl.getUniformLocation(coronaProgram, 'uIntensity');
+const coronaBuffer = gl.createBuffer();
+gl.bindBuffer(gl.ARRAY_BUFFER, coronaBuffer);
+gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+function drawCorona(vp) {
+  if (!sunEmissive) return;
+  const center = relPoint(sun.worldPos, vec3.create());
+  const dist = vec3.length(center);
+  if (dist <= sun.visualSize) return;
+  // facing the eye along the line to the star's centre
+  const dir = vec3.scale(vec3.create(), center, 1 / dist);
+  const helper = Math.abs(dir[1]) < 0.99 ? [0, 1, 0] : [1, 0, 0];
+  const right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), dir, helper));
+  const up = vec3.cross(vec3.create(), right, dir);
+
+  gl.useProgram(coronaProgram);
+  gl.uniformMatrix4fv(uVPCorona, false, vp);
+  gl.uniform3fv(uCenterCorona, center);
+  gl.uniform3fv(uRightCorona, right);
+  gl.uniform3fv(uUpCorona, up);
+  gl.uniform1f(uSizeCorona, sun.visualSize * CORONA_EXTENT);
+  gl.uniform1f(uExtentCorona, CORONA_EXTENT);
+  gl.uniform1f(uIntensityCorona, 0.6 * sunEmissive);
+  gl.bindBuffer(gl.ARRAY_BUFFER, coronaBuffer);
+  gl.vertexAttribPointer(aCornerCorona, 2, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(aCornerCorona);
+  gl.depthMask(false);
+  gl.blendFunc(gl.ONE, gl.ONE);
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  gl.depthMask(true);
+  if (aCornerCorona !== aPosition && aCornerCorona !== aNormal && aCornerCorona !== aUV) {
+    gl.disableVertexAttribArray(aCornerCorona);
+  }
+  gl.useProgram(program);
+}
 
 // --- draw helpers ---
 function setModel(m) {
-  gl.uniformMatrix4fv(uModel, false, m);
+  gl.uniformMatrix4fv(uModel, false, relModel(m));
 }
 function drawMesh(model, color, isSun = 0, texture = null) {
   // use the configurable sun emissive when drawing the sun, otherwise use provided value (or 0)
@@ -955,7 +4943,8 @@ function drawOutline(model, thickness = 1.03) {
 function worldToCanvasPoint(worldPos, vpMat) {
   const v = vec4.fromValues(worldPos[0], worldPos[1], worldPos[2], 1.0);
   vec4.transformMat4(v, v, vpMat);
-  if (Math.abs(v[3]) < 1e-6) return null;
+  // behind the camera (or on its plane): no meaningful screen position
+  if (v[3] < 1e-6) return null;
   v[0] /= v[3];
   v[1] /= v[3];
   // NDC -> canvas (device) pixels
@@ -979,30 +4968,209 @@ function hideTooltip() {
   tooltipEl.style.display = 'none';
 }
 
-function drawRing(model, texture) {
-  gl.uniform1f(uEmissiveLoc, 0.7);
-  gl.uniform3fv(gl.getUniformLocation(program, "uColor"), [1, 1, 1]);
-  gl.uniform1f(gl.getUniformLocation(program, "uUseTexture"), 1.0);
+// --- labels ---
+// Optional always-on names on a 2D canvas over the scene. Labels are placed in
+// priority order (locked body, star, planets, moons, small bodies; larger on
+// screen first), each at the first spot beside its body that is clear of the
+// labels already placed; the rest stay hidden until there is room. The outer
+// spots get a leader line. A moon's label fades in as it separates from its
+// planet on screen, so distant systems don't sprout a cluster of names.
+const LABEL_FILTERS = { off: 0, planets: 1, moons: 2, all: 3 };
+const LABEL_FADE_RATE = 6; // alpha per second
+const LABEL_PAD = 3; // px around the text
+const MOON_LABEL_FADE = [16, 48]; // px from the planet: hidden .. fully shown
+const labelCanvas = document.getElementById('labelCanvas');
+const labelCtx = labelCanvas ? labelCanvas.getContext('2d') : null;
+const labelsSelect = document.getElementById('labelsSelect');
+let labelFilter = 'off';
+const labelState = new Map(); // body -> { alpha, x, y, w, h, cx, cy, r, leader }
+
+function setLabelFilter(filter) {
+  if (!(filter in LABEL_FILTERS)) return;
+  labelFilter = filter;
+  if (labelsSelect) labelsSelect.value = filter;
+}
+if (labelsSelect) labelsSelect.addEventListener('change', (e) => setLabelFilter(e.target.value));
+
+// 1: star and planets, 2: moons, 3: comets and the spacecraft
+function labelLevel(body) {
+  if (body.isComet || body.isCraft) return 3;
+  return body.parent ? 2 : 1;
+}
+
+function labelFont(body) {
+  return labelLevel(body) === 1 ? '600 12px sans-serif' : '11px sans-serif';
+}
+
+// top-left corners for a w x h label beside a body of screen radius r, and
+// whether a leader line runs to it
+function labelSpots(r, w, h) {
+  const g = r + 4;
+  const d = (r + 18) * Math.SQRT1_2;
+  return [
+    [g, -h / 2, false],
+    [-g - w, -h / 2, false],
+    [-w / 2, -g - h, false],
+    [-w / 2, g, false],
+    [d, -d - h, true],
+    [d, d, true],
+    [-d - w, -d - h, true],
+    [-d - w, d, true],
+  ];
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+function drawLabels(vpWorld, eye, dt) {
+  if (!labelCtx) return;
+  if (labelCanvas.width !== canvas.width || labelCanvas.height !== canvas.height) {
+    labelCanvas.width = canvas.width;
+    labelCanvas.height = canvas.height;
+  }
+  labelCtx.setTransform(1, 0, 0, 1, 0, 0);
+  labelCtx.clearRect(0, 0, labelCanvas.width, labelCanvas.height);
+  if (labelFilter === 'off' && labelState.size === 0) return;
+
+  // everything below is in CSS pixels
+  const dpr = window.devicePixelRatio || 1;
+  labelCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  const viewW = canvas.width / dpr;
+  const viewH = canvas.height / dpr;
+  const focal = canvas.height / 2 / Math.tan(Math.PI / 8) / dpr; // px per unit at distance 1
+
+  const level = LABEL_FILTERS[labelFilter];
+  const bodies = [sun, ...planets.flatMap((p) => [p, ...(p.moons || [])]), ...comets];
+  if (transfer) bodies.push(spacecraft);
+  const items = [];
+  for (const body of bodies) {
+    if (labelLevel(body) > level) continue;
+    const scr = worldToCanvasPoint(body.worldPos, vpWorld);
+    if (!scr) continue;
+    const x = scr[0] / dpr;
+    const y = scr[1] / dpr;
+    const r = (body.visualSize * focal) / Math.max(vec3.distance(body.worldPos, eye), 1e-12);
+    let fade = 1;
+    if (body.parent) {
+      const ps = worldToCanvasPoint(body.parent.worldPos, vpWorld);
+      if (ps) {
+        const sep = Math.hypot(ps[0] / dpr - x, ps[1] / dpr - y);
+        const [lo, hi] = MOON_LABEL_FADE;
+        fade = Math.min(1, Math.max(0, (sep - lo) / (hi - lo)));
+      }
+    }
+    if (fade < 0.05) continue;
+    const rank = body === lockedPlanet ? 0 : body === sun ? 0.5 : labelLevel(body);
+    items.push({ body, x, y, r, fade, rank });
+  }
+  items.sort((a, b) => a.rank - b.rank || b.r - a.r);
+
+  const placed = [];
+  const targets = new Map();
+  for (const it of items) {
+    labelCtx.font = labelFont(it.body);
+    const w = labelCtx.measureText(it.body.name).width + 2 * LABEL_PAD;
+    const h = 14 + 2 * LABEL_PAD;
+    for (const [dx, dy, leader] of labelSpots(it.r, w, h)) {
+      const rect = { x: it.x + dx, y: it.y + dy, w, h };
+      if (rect.x < 0 || rect.y < 0 || rect.x + w > viewW || rect.y + h > viewH) continue;
+      if (placed.some((o) => rectsOverlap(o, rect))) continue;
+      placed.push(rect);
+      targets.set(it.body, { ...rect, cx: it.x, cy: it.y, r: it.r, leader, goal: it.fade });
+      break;
+    }
+  }
+
+  // ease every label towards shown or hidden; hidden ones fade where they were
+  for (const [body, t] of targets) {
+    if (!labelState.has(body)) labelState.set(body, { alpha: 0 });
+    Object.assign(labelState.get(body), t);
+  }
+  const step = LABEL_FADE_RATE * dt;
+  labelCtx.textBaseline = 'middle';
+  labelCtx.shadowColor = 'rgba(0,0,0,0.9)';
+  labelCtx.shadowBlur = 3;
+  for (const [body, s] of labelState) {
+    const goal = targets.has(body) ? s.goal : 0;
+    s.alpha = s.alpha < goal ? Math.min(goal, s.alpha + step) : Math.max(goal, s.alpha - step);
+    if (s.alpha <= 0 && !targets.has(body)) {
+      labelState.delete(body);
+      continue;
+    }
+    // the tooltip already names the hovered body
+    if (body === hoveredPlanet || s.alpha < 0.01) continue;
+    labelCtx.globalAlpha = s.alpha;
+    if (s.leader) {
+      // from the body's edge to the nearest point of the label
+      const nx = Math.min(Math.max(s.cx, s.x), s.x + s.w) - s.cx;
+      const ny = Math.min(Math.max(s.cy, s.y), s.y + s.h) - s.cy;
+      const len = Math.hypot(nx, ny) || 1;
+      labelCtx.strokeStyle = 'rgba(255,255,255,0.45)';
+      labelCtx.lineWidth = 1;
+      labelCtx.beginPath();
+      labelCtx.moveTo(s.cx + (nx / len) * s.r, s.cy + (ny / len) * s.r);
+      labelCtx.lineTo(s.cx + nx, s.cy + ny);
+      labelCtx.stroke();
+    }
+    const lvl = labelLevel(body);
+    labelCtx.font = labelFont(body);
+    labelCtx.fillStyle = lvl === 1 ? '#fff' : lvl === 2 ? '#ccc' : '#bde';
+    labelCtx.fillText(body.name, s.x + LABEL_PAD, s.y + s.h / 2);
+  }
+  labelCtx.globalAlpha = 1;
+  labelCtx.shadowBlur = 0;
+}
+
+// squared pixel distance from the pointer to a body's projected centre, or
+// Infinity when the pointer is outside its (at least 6px) screen disc
+function hoverDistSq(body, vpMat, pointerCanvasX, pointerCanvasY) {
+  const wp = body.worldPos;
+  const scr = worldToCanvasPoint(wp, vpMat);
+  if (!scr) return Infinity;
+  // approximate radius: project a small offset and measure
+  const scr2 = worldToCanvasPoint([wp[0] + body.visualSize, wp[1], wp[2]], vpMat);
+  let radiusPx = 12; // fallback
+  if (scr2) radiusPx = Math.max(6, Math.hypot(scr2[0] - scr[0], scr2[1] - scr[1]));
+  const dx = scr[0] - pointerCanvasX;
+  const dy = scr[1] - pointerCanvasY;
+  const distSq = dx * dx + dy * dy;
+  if (distSq >= radiusPx * radiusPx) return Infinity;
+  body._screen = scr;
+  return distSq;
+}
+
+function drawRing(ringDef) {
+  gl.uniform1f(uEmissiveLoc, 0.0);
+  gl.uniform3fv(uColor, ringDef.color || [1, 1, 1]);
+  gl.uniform1f(uRingOpacityLoc, ringDef.opacity ?? 1.0);
 
   gl.activeTexture(gl.TEXTURE0);
-  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.bindTexture(gl.TEXTURE_2D, ringDef.glTexture);
   gl.uniform1i(gl.getUniformLocation(program, "uTexture"), 0);
   gl.uniform1f(gl.getUniformLocation(program, "uUseTexture"), 1.0);
 
-  setModel(model);
+  setModel(ringDef.model);
 
-  gl.bindBuffer(gl.ARRAY_BUFFER, ringPosBuffer);
+  gl.bindBuffer(gl.ARRAY_BUFFER, ringDef.posBuffer);
   gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, 0, 0);
   gl.enableVertexAttribArray(aPosition);
 
-  gl.bindBuffer(gl.ARRAY_BUFFER, ringUVBuffer);
+  gl.bindBuffer(gl.ARRAY_BUFFER, ringDef.uvBuffer);
   gl.vertexAttribPointer(aUV, 2, gl.FLOAT, false, 0, 0);
   gl.enableVertexAttribArray(aUV);
 
-  gl.disableVertexAttribArray(aNormal); // not needed for flat rings
+  // flat rings share one normal: the plane's local +Y
+  gl.disableVertexAttribArray(aNormal);
+  gl.vertexAttrib3f(aNormal, 0, 1, 0);
 
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ringIndexBuffer);
-  gl.drawElements(gl.TRIANGLES, ring.indices.length, gl.UNSIGNED_SHORT, 0);
+  gl.uniform1f(uIsRingLoc, 1.0);
+  // translucent: don't let one ring hide another drawn after it
+  gl.depthMask(false);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ringDef.indexBuffer);
+  gl.drawElements(gl.TRIANGLES, ringDef.indexCount, gl.UNSIGNED_SHORT, 0);
+  gl.depthMask(true);
+  gl.uniform1f(uIsRingLoc, 0.0);
 }
 
 // draw the horizontal grid on the XZ plane
@@ -1021,9 +5189,11 @@ function drawGrid(vpMat) {
   const uAlphaGrid = gl.getUniformLocation(gridProgram, 'uAlpha');
   const uFadeStartLoc = gl.getUniformLocation(gridProgram, 'uFadeStart');
   const uFadeEndLoc = gl.getUniformLocation(gridProgram, 'uFadeEnd');
+  const uOriginGrid = gl.getUniformLocation(gridProgram, 'uOrigin');
 
   gl.uniformMatrix4fv(uVPGrid, false, vpMat);
-  gl.uniformMatrix4fv(uModelGrid, false, gridModel);
+  gl.uniformMatrix4fv(uModelGrid, false, relModel(gridModel));
+  gl.uniform3fv(uOriginGrid, renderOrigin);
   gl.uniform3fv(uColorGrid, gridColor);
   gl.uniform1f(uAlphaGrid, gridAlpha);
   gl.uniform1f(uFadeStartLoc, gridFadeStart);
@@ -1040,15 +5210,620 @@ function drawGrid(vpMat) {
   gl.useProgram(program);
 }
 
+// --- HDR, bloom and tone mapping ---
+// The scene is drawn into a half-float (or float) target so emitters can go
+// past 1.0. Bright parts are then thresholded and blurred over a chain of
+// smaller targets for bloom, and the result is exposed and tone mapped onto
+// the canvas. The scene's colors are display-referred, so they are decoded to
+// linear (gamma 2.2) first and encoded again at the end. Without renderable
+// float textures, or with tone mapping off, drawing goes straight to the
+// canvas as it always did.
+const BLOOM_LEVELS = 4; // half, quarter, eighth and sixteenth resolution
+const BLOOM_THRESHOLD = 1.0; // linear luminance where the glow starts
+const BLOOM_STRENGTH = 0.6;
+const TONE_MAPPINGS = { aces: 0, reinhard: 1, off: -1 };
+const toneMapSelect = document.getElementById('toneMapSelect');
+const exposureSlider = document.getElementById('exposureSlider');
+const exposureLabel = document.getElementById('exposureLabel');
+let toneMapping = 'aces';
+let exposureEV = 0; // stops
+
+// a renderable float format, or null
+const hdrFormat = (() => {
+  const half = gl.getExtension('OES_texture_half_float');
+  if (half && gl.getExtension('EXT_color_buffer_half_float')) {
+    return { type: half.HALF_FLOAT_OES, linear: !!gl.getExtension('OES_texture_half_float_linear') };
+  }
+  // 32-bit float targets only blend with EXT_float_blend
+  if (gl.getExtension('OES_texture_float') && gl.getExtension('WEBGL_color_buffer_float') && gl.getExtension('EXT_float_blend')) {
+    return { type: gl.FLOAT, linear: !!gl.getExtension('OES_texture_float_linear') };
+  }
+  return null;
+})();
+let hdrSupported = !!hdrFormat; // cleared if a target turns out incomplete
+let screenHdr = null;
+
+const vsPost = `
+attribute vec2 aPos;
+varying vec2 vUV;
+void main() {
+  vUV = aPos * 0.5 + 0.5;
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}
+`;
+// 2x2 box downsample; the first level also decodes and keeps only the bright part
+const fsBloomDown = `
+precision mediump float;
+varying vec2 vUV;
+uniform sampler2D uTex;
+uniform vec2 uTexel; // of the source
+uniform float uPrefilter;
+uniform float uThreshold;
+void main() {
+  vec3 c = 0.25 * (texture2D(uTex, vUV + uTexel * vec2(-0.5, -0.5)).rgb +
+    texture2D(uTex, vUV + uTexel * vec2(0.5, -0.5)).rgb +
+    texture2D(uTex, vUV + uTexel * vec2(-0.5, 0.5)).rgb +
+    texture2D(uTex, vUV + uTexel * vec2(0.5, 0.5)).rgb);
+  if (uPrefilter > 0.5) {
+    c = pow(max(c, 0.0), vec3(2.2));
+    float peak = max(c.r, max(c.g, c.b));
+    c *= max(peak - uThreshold, 0.0) / max(peak, 1e-4);
+  }
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+// 9-tap gaussian along uDir (texels times the spread)
+const fsBloomBlur = `
+precision mediump float;
+varying vec2 vUV;
+uniform sampler2D uTex;
+uniform vec2 uDir;
+void main() {
+  vec3 c = texture2D(uTex, vUV).rgb * 0.227027;
+  c += (texture2D(uTex, vUV + uDir).rgb + texture2D(uTex, vUV - uDir).rgb) * 0.1945946;
+  c += (texture2D(uTex, vUV + 2.0 * uDir).rgb + texture2D(uTex, vUV - 2.0 * uDir).rgb) * 0.1216216;
+  c += (texture2D(uTex, vUV + 3.0 * uDir).rgb + texture2D(uTex, vUV - 3.0 * uDir).rgb) * 0.0540541;
+  c += (texture2D(uTex, vUV + 4.0 * uDir).rgb + texture2D(uTex, vUV - 4.0 * uDir).rgb) * 0.0162162;
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+// the scene target isn't multisampled, so the composite smooths edges first:
+// FXAA (after Lottes) blends along the direction the neighbours' luma changes
+const fsComposite = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float; // texel offsets at capture sizes
+#else
+precision mediump float;
+#endif
+varying vec2 vUV;
+uniform sampler2D uScene;
+uniform vec2 uTexel; // of the scene
+uniform sampler2D uBloom0;
+uniform sampler2D uBloom1;
+uniform sampler2D uBloom2;
+uniform sampler2D uBloom3;
+uniform float uBloomStrength;
+uniform float uExposure; // linear factor
+uniform int uToneMap; // 0 ACES, 1 Reinhard
+// Narkowicz's fit of the ACES filmic curve
+vec3 aces(vec3 x) {
+  return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+// squeezed into 0..1 so emitters don't swamp the edge test
+float luma(vec3 c) {
+  float l = dot(c, vec3(0.299, 0.587, 0.114));
+  return l / (1.0 + l);
+}
+vec3 sceneAt(vec2 offset) {
+  return texture2D(uScene, vUV + offset).rgb;
+}
+vec3 fxaa() {
+  vec3 m = sceneAt(vec2(0.0));
+  float lM = luma(m);
+  float lNW = luma(sceneAt(vec2(-1.0, -1.0) * uTexel));
+  float lNE = luma(sceneAt(vec2(1.0, -1.0) * uTexel));
+  float lSW = luma(sceneAt(vec2(-1.0, 1.0) * uTexel));
+  float lSE = luma(sceneAt(vec2(1.0, 1.0) * uTexel));
+  float lMin = min(lM, min(min(lNW, lNE), min(lSW, lSE)));
+  float lMax = max(lM, max(max(lNW, lNE), max(lSW, lSE)));
+  if (lMax - lMin < max(0.03, lMax * 0.125)) return m;
+  vec2 dir = vec2(lSW + lSE - lNW - lNE, lNW + lSW - lNE - lSE);
+  float reduce = max((lNW + lNE + lSW + lSE) * 0.03125, 1.0 / 128.0);
+  dir = clamp(dir / (min(abs(dir.x), abs(dir.y)) + reduce), -8.0, 8.0) * uTexel;
+  vec3 near = 0.5 * (sceneAt(dir * (-1.0 / 6.0)) + sceneAt(dir * (1.0 / 6.0)));
+  vec3 far = 0.5 * near + 0.25 * (sceneAt(dir * -0.5) + sceneAt(dir * 0.5));
+  float lFar = luma(far);
+  return lFar < lMin || lFar > lMax ? near : far;
+}
+void main() {
+  vec3 c = pow(max(fxaa(), 0.0), vec3(2.2));
+  vec3 bloom = texture2D(uBloom0, vUV).rgb + texture2D(uBloom1, vUV).rgb +
+    texture2D(uBloom2, vUV).rgb + texture2D(uBloom3, vUV).rgb;
+  c = (c + bloom * (uBloomStrength / 4.0)) * uExposure;
+  c = uToneMap == 0 ? aces(c) : c / (1.0 + c);
+  gl_FragColor = vec4(pow(c, vec3(1.0 / 2.2)), 1.0);
+}
+`;
+
+function createPostProgram(fs) {
+  const p = gl.createProgram();
+  gl.attachShader(p, createShader(gl.VERTEX_SHADER, vsPost));
+  gl.attachShader(p, createShader(gl.FRAGMENT_SHADER, fs));
+  gl.bindAttribLocation(p, 0, 'aPos');
+  gl.linkProgram(p);
+  if (!gl.getProgramParameter(p, gl.LINK_STATUS)) console.error(gl.getProgramInfoLog(p));
+  return p;
+}
+const bloomDownProgram = createPostProgram(fsBloomDown);
+const bloomBlurProgram = createPostProgram(fsBloomBlur);
+const compositeProgram = createPostProgram(fsComposite);
+// one triangle covering the viewport
+const postBuffer = gl.createBuffer();
+gl.bindBuffer(gl.ARRAY_BUFFER, postBuffer);
+gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+
+function setToneMapping(mode) {
+  if (!(mode in TONE_MAPPINGS)) return;
+  toneMapping = hdrSupported ? mode : 'off';
+  if (toneMapSelect) toneMapSelect.value = toneMapping;
+}
+
+function setExposure(ev) {
+  exposureEV = ev;
+  if (exposureSlider) exposureSlider.value = ev;
+  if (exposureLabel) exposureLabel.textContent = `Exposure: ${ev >= 0 ? '+' : ''}${ev.toFixed(1)} EV`;
+}
+
+if (toneMapSelect) {
+  if (!hdrSupported) {
+    toneMapSelect.disabled = true;
+    toneMapSelect.title = 'Needs floating-point render targets, which this browser lacks';
+  }
+  toneMapSelect.addEventListener('change', (e) => setToneMapping(e.target.value));
+}
+if (exposureSlider) exposureSlider.addEventListener('input', (e) => setExposure(parseFloat(e.target.value)));
+setToneMapping(toneMapping);
+setExposure(exposureEV);
+
+// a texture of `type` with a framebuffer around it, plus a depth buffer if asked
+function createColorTarget(width, height, type, withDepth = false) {
+  const filter = type === gl.UNSIGNED_BYTE || hdrFormat.linear ? gl.LINEAR : gl.NEAREST;
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, type, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  const fb = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+  let depth = null;
+  if (withDepth) {
+    depth = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, depth);
+  }
+  const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return { fb, tex, depth, width, height, complete, levels: [] };
+}
+
+function deleteTarget(t) {
+  for (const level of t.levels) {
+    deleteTarget(level.a);
+    deleteTarget(level.b);
+  }
+  gl.deleteFramebuffer(t.fb);
+  gl.deleteTexture(t.tex);
+  if (t.depth) gl.deleteRenderbuffer(t.depth);
+}
+
+// the scene target with its bloom chain (two targets per level, for the
+// separable blur); null if the format can't be rendered to after all
+function createHdrTarget(width, height) {
+  const t = createColorTarget(width, height, hdrFormat.type, true);
+  let complete = t.complete;
+  for (let k = 0; k < BLOOM_LEVELS; k++) {
+    const w = Math.max(1, width >> (k + 1));
+    const h = Math.max(1, height >> (k + 1));
+    const level = { a: createColorTarget(w, h, hdrFormat.type), b: createColorTarget(w, h, hdrFormat.type) };
+    t.levels.push(level);
+    complete = complete && level.a.complete && level.b.complete;
+  }
+  if (complete) return t;
+  deleteTarget(t);
+  return null;
+}
+
+// the canvas-sized target, or null to draw straight to the canvas
+function screenHdrTarget() {
+  if (toneMapping === 'off') {
+    if (screenHdr) deleteTarget(screenHdr);
+    screenHdr = null;
+    return null;
+  }
+  if (!screenHdr || screenHdr.width !== canvas.width || screenHdr.height !== canvas.height) {
+    if (screenHdr) deleteTarget(screenHdr);
+    screenHdr = createHdrTarget(canvas.width, canvas.height);
+    if (!screenHdr) {
+      hdrSupported = false;
+      setToneMapping('off');
+      if (toneMapSelect) toneMapSelect.disabled = true;
+    }
+  }
+  return screenHdr;
+}
+
+function drawPostPass(prog, target, width, height) {
+  gl.useProgram(prog);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target);
+  gl.viewport(0, 0, width, height);
+  gl.drawArrays(gl.TRIANGLES, 0, 3);
+}
+
+// how far (px) the bloom spreads light: the blur's four taps of `pixelScale`
+// texels at every level, plus the texel each down- and upsample smears over
+function bloomReach(pixelScale) {
+  let reach = 0;
+  for (let k = 1; k <= BLOOM_LEVELS; k++) reach += 2 ** k * (4 * pixelScale + 2);
+  return reach;
+}
+
+// bloom and tone map the HDR target `t` into `outFb` (null = canvas).
+// `pixelScale` widens the blur with the resolution so captures glow alike
+function postProcess(t, outFb, pixelScale) {
+  gl.disable(gl.DEPTH_TEST);
+  gl.disable(gl.BLEND);
+  gl.bindBuffer(gl.ARRAY_BUFFER, postBuffer);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(0);
+  gl.activeTexture(gl.TEXTURE0);
+
+  let src = t;
+  t.levels.forEach(({ a, b }, k) => {
+    gl.useProgram(bloomDownProgram);
+    gl.uniform1i(gl.getUniformLocation(bloomDownProgram, 'uTex'), 0);
+    gl.uniform2f(gl.getUniformLocation(bloomDownProgram, 'uTexel'), 1 / src.width, 1 / src.height);
+    gl.uniform1f(gl.getUniformLocation(bloomDownProgram, 'uPrefilter'), k === 0 ? 1 : 0);
+    gl.uniform1f(gl.getUniformLocation(bloomDownProgram, 'uThreshold'), BLOOM_THRESHOLD);
+    gl.bindTexture(gl.TEXTURE_2D, src.tex);
+    drawPostPass(bloomDownProgram, a.fb, a.width, a.height);
+
+    gl.useProgram(bloomBlurProgram);
+    gl.uniform1i(gl.getUniformLocation(bloomBlurProgram, 'uTex'), 0);
+    const dirLoc = gl.getUniformLocation(bloomBlurProgram, 'uDir');
+    gl.uniform2f(dirLoc, pixelScale / a.width, 0);
+    gl.bindTexture(gl.TEXTURE_2D, a.tex);
+    drawPostPass(bloomBlurProgram, b.fb, b.width, b.height);
+    gl.uniform2f(dirLoc, 0, pixelScale / a.height);
+    gl.bindTexture(gl.TEXTURE_2D, b.tex);
+    drawPostPass(bloomBlurProgram, a.fb, a.width, a.height);
+    src = a;
+  });
+
+  gl.useProgram(compositeProgram);
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, t.tex);
+  gl.uniform1i(gl.getUniformLocation(compositeProgram, 'uScene'), 0);
+  gl.uniform2f(gl.getUniformLocation(compositeProgram, 'uTexel'), 1 / t.width, 1 / t.height);
+  t.levels.forEach(({ a }, k) => {
+    gl.activeTexture(gl.TEXTURE1 + k);
+    gl.bindTexture(gl.TEXTURE_2D, a.tex);
+    gl.uniform1i(gl.getUniformLocation(compositeProgram, `uBloom${k}`), 1 + k);
+  });
+  gl.uniform1f(gl.getUniformLocation(compositeProgram, 'uBloomStrength'), BLOOM_STRENGTH);
+  gl.uniform1f(gl.getUniformLocation(compositeProgram, 'uExposure'), 2 ** exposureEV);
+  gl.uniform1i(gl.getUniformLocation(compositeProgram, 'uToneMap'), TONE_MAPPINGS[toneMapping]);
+  drawPostPass(compositeProgram, outFb, t.width, t.height);
+
+  // back to the scene's state
+  gl.activeTexture(gl.TEXTURE0);
+  if (aPosition !== 0 && aNormal !== 0 && aUV !== 0) gl.disableVertexAttribArray(0);
+  gl.enable(gl.DEPTH_TEST);
+  gl.enable(gl.BLEND);
+  gl.useProgram(program);
+}
+
+// --- capture (screenshots and frame sequences) ---
+// Frames are drawn off screen at any size. Anything bigger than the GPU takes
+// in one go is drawn in tiles, each through its slice of the camera frustum,
+// and stitched on a 2D canvas; tiles overlap so point sprites cut off at a tile
+// edge are cropped away, and by as far as the bloom reaches so every tile gets
+// the glow from just outside it. The page UI and hover outline are left out.
+const CAPTURE_TILE_MARGIN = 32; // px, at least
+const EXPORT_FPS = 30; // exported frames advance camera animations as if played at this rate
+const capturePanelEl = document.getElementById('capturePanel');
+const captureToggleBtn = document.getElementById('captureToggleBtn');
+const captureSizeSelect = document.getElementById('captureSizeSelect');
+const captureShotBtn = document.getElementById('captureShotBtn');
+const captureFramesInput = document.getElementById('captureFramesInput');
+const captureStepInput = document.getElementById('captureStepInput');
+const captureStepUnit = document.getElementById('captureStepUnit');
+const captureExportBtn = document.getElementById('captureExportBtn');
+const captureCancelBtn = document.getElementById('captureCancelBtn');
+const captureStatusEl = document.getElementById('captureStatus');
+let lastView = null; // camera of the last frame on screen
+let exportJob = null; // { cancelled } while a frame sequence is being written
+
+function setCaptureStatus(text) {
+  if (captureStatusEl) captureStatusEl.textContent = text;
+}
+
+function captureSize() {
+  const value = captureSizeSelect ? captureSizeSelect.value : 'window';
+  if (value === 'window') return [canvas.width, canvas.height];
+  return value.split('x').map(Number);
+}
+
+function captureTileSize() {
+  const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  return Math.min(
+    gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+    gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    viewport[0],
+    viewport[1],
+    4096
+  );
+}
+
+// draw `view` at width x height; returns a 2D canvas holding the image
+function captureImage(view, width, height) {
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext('2d');
+  const useHdr = toneMapping !== 'off';
+  // tiles start on the grid of the coarsest bloom level so its texels line
+  // up from one tile to the next
+  const align = 2 ** BLOOM_LEVELS;
+  const size = Math.floor(captureTileSize() / align) * align;
+  // points keep their on-screen size
+  const pixelScale = height / window.innerHeight;
+  const reach = useHdr ? bloomReach(pixelScale) : 0;
+  const margin = Math.min(
+    Math.ceil(Math.max(CAPTURE_TILE_MARGIN, reach) / align) * align,
+    Math.floor(size / 4 / align) * align
+  );
+  // every tile is drawn at full size (the last ones run past the image) so
+  // the HDR passes always cover their whole target
+  const tw = Math.min(size, width + 2 * margin);
+  const th = Math.min(size, height + 2 * margin);
+  const innerW = tw - 2 * margin;
+  const innerH = th - 2 * margin;
+  // the window's frustum at the capture's aspect
+  const top = DEPTH_NEAR * Math.tan(Math.PI / 8);
+  const right = top * (width / height);
+
+  const hdr = useHdr ? createHdrTarget(tw, th) : null;
+  const target = createColorTarget(tw, th, gl.UNSIGNED_BYTE, !hdr);
+  const pixels = new Uint8Array(tw * th * 4);
+  const proj = mat4.create();
+  try {
+    if (!target.complete) throw new Error('offscreen framebuffer not supported');
+    for (let y0 = 0; y0 < height; y0 += innerH) {
+      for (let x0 = 0; x0 < width; x0 += innerW) {
+        const w = Math.min(innerW, width - x0);
+        const h = Math.min(innerH, height - y0);
+        // the tile and its margin as a slice of the full frustum (y runs down)
+        const tx = x0 - margin,
+          ty = y0 - margin;
+        mat4.frustum(
+          proj,
+          -right + (2 * right * tx) / width,
+          -right + (2 * right * (tx + tw)) / width,
+          top - (2 * top * (ty + th)) / height,
+          top - (2 * top * ty) / height,
+          DEPTH_NEAR,
+          DEPTH_FAR
+        );
+        gl.bindFramebuffer(gl.FRAMEBUFFER, hdr ? hdr.fb : target.fb);
+        drawScene(view, { proj, width: tw, height: th, pixelScale, interactive: false });
+        if (hdr) postProcess(hdr, target.fb, pixelScale);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fb);
+        gl.readPixels(0, 0, tw, th, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        const image = ctx.createImageData(w, h);
+        for (let row = 0; row < h; row++) {
+          // GL rows run bottom-up
+          const src = ((th - 1 - margin - row) * tw + margin) * 4;
+          image.data.set(pixels.subarray(src, src + w * 4), row * w * 4);
+        }
+        // blending leaves alpha below 1 in places; the PNG should be opaque
+        for (let i = 3; i < image.data.length; i += 4) image.data[i] = 255;
+        ctx.putImageData(image, x0, y0);
+      }
+    }
+  } finally {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    deleteTarget(target);
+    if (hdr) deleteTarget(hdr);
+  }
+  return out;
+}
+
+function canvasToPng(c) {
+  return new Promise((resolve, reject) => {
+    c.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// e.g. solar-system-2026-10-18-1430
+function captureBaseName() {
+  return `solar-system-${formatDate(simJD).replace(' ', '-').replace(':', '')}`;
+}
+
+async function saveScreenshot() {
+  if (!lastView || exportJob) return;
+  const [width, height] = captureSize();
+  setCaptureStatus(`Rendering ${width} × ${height}…`);
+  try {
+    const blob = await canvasToPng(captureImage(lastView, width, height));
+    downloadBlob(blob, `${captureBaseName()}.png`);
+    setCaptureStatus(`Saved ${width} × ${height} PNG`);
+  } catch (err) {
+    console.error(err);
+    setCaptureStatus(`Capture failed: ${err.message}`);
+  }
+}
+
+// Steps the clock by a fixed time per frame, whatever the pause state, and
+// saves numbered PNGs: into a folder where the browser lets us pick one,
+// otherwise as separate downloads. The render loop stands by meanwhile.
+// integrate a frame's worth of physics in slices of the frame budget, yielding
+// in between so the page and the Cancel button stay responsive
+async function advancePhysicsInChunks(dDays, job) {
+  let left = dDays;
+  while (!job.cancelled) {
+    const advanced = advancePhysics(left);
+    simJD += advanced;
+    left -= advanced;
+    if (!nbody.slowed) return;
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+  }
+}
+
+async function exportFrames() {
+  if (exportJob) return;
+  const frames = Math.floor(Number(captureFramesInput.value));
+  const stepDays = Number(captureStepInput.value) * Number(captureStepUnit.value);
+  if (!(frames >= 1) || !Number.isFinite(stepDays)) {
+    setCaptureStatus('Enter a number of frames and a time per frame');
+    return;
+  }
+  const [width, height] = captureSize();
+  let dir = null;
+  if (window.showDirectoryPicker) {
+    try {
+      dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch {
+      return; // picker dismissed
+    }
+  }
+  const job = { cancelled: false };
+  exportJob = job;
+  captureExportBtn.disabled = true;
+  captureShotBtn.disabled = true;
+  captureCancelBtn.disabled = false;
+  const base = captureBaseName();
+  let clock = frameClock;
+  let saved = 0;
+  try {
+    for (let i = 0; i < frames && !job.cancelled; i++) {
+      let dDays = 0;
+      if (i) {
+        clock += 1000 / EXPORT_FPS;
+        dDays = stepDays;
+        if (physicsEnabled) {
+          setCaptureStatus(`Frame ${saved + 1} of ${frames}: integrating`);
+          await advancePhysicsInChunks(stepDays, job);
+          if (job.cancelled) break;
+          dDays = 0;
+        }
+      }
+      const view = i ? stepFrame(clock, 1 / EXPORT_FPS, dDays) : stepFrame(clock, 0, 0);
+      const blob = await canvasToPng(captureImage(view, width, height));
+      const name = `${base}-${String(i).padStart(5, '0')}.png`;
+      if (dir) {
+        const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+        await writable.write(blob);
+        await writable.close();
+      } else {
+        downloadBlob(blob, name);
+      }
+      saved++;
+      // preview on screen
+      const vpWorld = drawToCanvas(view, false);
+      lastView = view;
+      drawLabels(vpWorld, view.eye, 1 / EXPORT_FPS);
+      setCaptureStatus(`Frame ${saved} of ${frames}`);
+    }
+    setCaptureStatus(job.cancelled ? `Cancelled after ${saved} frames` : `Saved ${saved} frames`);
+  } catch (err) {
+    console.error(err);
+    setCaptureStatus(`Export failed after ${saved} frames: ${err.message}`);
+  } finally {
+    exportJob = null;
+    // carry on from the exported state without a jump
+    lastRealTime = lastFrameReal = performance.now();
+    captureExportBtn.disabled = false;
+    captureShotBtn.disabled = false;
+    captureCancelBtn.disabled = true;
+  }
+}
+
+if (captureToggleBtn && capturePanelEl) {
+  captureToggleBtn.addEventListener('click', () => {
+    capturePanelEl.style.display = capturePanelEl.style.display === 'block' ? 'none' : 'block';
+  });
+}
+if (captureShotBtn) captureShotBtn.addEventListener('click', saveScreenshot);
+if (captureExportBtn) captureExportBtn.addEventListener('click', exportFrames);
+if (captureCancelBtn) {
+  captureCancelBtn.addEventListener('click', () => {
+    if (exportJob) exportJob.cancelled = true;
+  });
+}
+
 // --- render loop ---
-function render() {
-  resizeCanvasToDisplaySize();
-  updateProjection();
+// Each frame steps the simulation and camera (stepFrame), then draws
+// (drawScene). Captures call drawScene on their own framebuffers, and frame
+// sequence exports drive stepFrame with fixed steps instead of the real clock.
+let physicsReadoutFrame = 0;
+let lastFrameReal = performance.now();
+let frameClock = performance.now(); // ms; the time animations are run against
+
+// advance the clock by dDays and the camera by dt seconds; returns the view
+function stepFrame(now, dt, dDays) {
+  frameClock = now;
+  if (dDays) simJD += physicsEnabled ? advancePhysics(dDays) : dDays;
+  const days = simJD - J2000;
+  updateScaleLayout(now);
+  if (physicsEnabled) {
+    applyPhysicsState(days);
+    if (++physicsReadoutFrame % 15 === 0) updatePhysicsReadout();
+  } else {
+    updateBodyPositions(days);
+  }
+  updateSpacecraft();
+  updateDateLabel();
+
+  advanceTour(dt);
+  applyHeldKeys(dt);
+
+  // locking a body leaves free fly; a newly locked body gets a flight that frames it
+  if (lockedPlanet && freeFly) setFreeFly(false);
+  if (lockedPlanet && lockFollow !== lockedPlanet) flyTo(lockedPlanet);
+
+  // Update cameraTarget before building the view so a locked body never lags a
+  // frame; during a flight the flight places the camera
+  const flying = updateFlight(now);
+  if (!flying && lockedPlanet) {
+    vec3.scale(lockOffset, lockOffset, 1 - 0.12);
+    vec3.add(cameraTarget, lockedPlanet.worldPos, lockOffset);
+  } else if (!flying) {
+    lockFollow = null;
+    // smooth blend back to the origin
+    vec3.lerp(cameraTarget, cameraTarget, [0, 0, 0], 0.12);
+  }
 
-  // smooth zoom interpolation
+  // smooth zoom interpolation (zoom limits depend on what is locked)
+  targetRadius = Math.max(currentMinZoom(), Math.min(maxZoom, targetRadius));
   radiusCam += (targetRadius - radiusCam) * zoomSmooth;
 
-  // momentum
+  // momentum (mouse-look in free fly stops with the mouse)
+  if (freeFly) yawVel = pitchVel = 0;
   if (!dragging) {
     yaw += yawVel;
     pitch += pitchVel;
@@ -1077,43 +5852,56 @@ function render() {
   vec3.transformQuat(forward, [0, 0, 1], qTotal);
   // position the camera relative to the current camera target so
   // zoom and orbit happen around the selected target (not always the origin)
+  // (plus any two-finger pan)
+  let lookAt = vec3.add(vec3.create(), cameraTarget, panOffset);
   const eye = vec3.create();
   const eyeOffset = vec3.create();
   vec3.scale(eyeOffset, forward, -radiusCam);
-  vec3.add(eye, cameraTarget, eyeOffset);
+  vec3.add(eye, lookAt, eyeOffset);
   const up = vec3.create();
   vec3.transformQuat(up, [0, 1, 0], qTotal);
+  if (freeFly) {
+    // the free-fly eye looks straight ahead from wherever it has got to
+    updateFreeFly(dt, forward, up);
+    vec3.copy(eye, flyPos);
+    lookAt = vec3.add(vec3.create(), eye, forward);
+  }
+  vec3.copy(lastEye, eye);
+  return { eye, lookAt, up };
+}
 
-  // VP
+// draw the scene for a view into the bound framebuffer. `proj` defaults to the
+// window's projection, `pixelScale` (device pixels per CSS pixel) sizes points,
+// and `interactive` picks and outlines the hovered body, which captures skip.
+// Returns the view-projection for world positions
+function drawScene({ eye, lookAt, up }, { proj = projection, width, height, pixelScale, interactive = true }) {
+  const days = simJD - J2000;
+  vec3.copy(renderOrigin, eye);
+
+  // VP with the eye at the origin for the GPU; vpWorld takes world positions
+  // for picking on the CPU
   const view = mat4.create();
-  // use smoothed camera target; if locked to a planet we'll update desiredTarget below
-  mat4.lookAt(view, eye, cameraTarget, up);
+  mat4.lookAt(view, [0, 0, 0], vec3.sub(vec3.create(), lookAt, eye), up);
   const vp = mat4.create();
-  mat4.multiply(vp, projection, view);
+  mat4.multiply(vp, proj, view);
   gl.uniformMatrix4fv(uVP, false, vp);
+  const vpWorld = mat4.translate(mat4.create(), vp, vec3.negate(vec3.create(), eye));
 
   // uniforms: camera & sun
-  gl.uniform3fv(uCameraPos, eye);
-  gl.uniform3fv(uSunPos, [0, 0, 0]);
+  gl.uniform3fv(uCameraPos, [0, 0, 0]);
+  gl.uniform3fv(uSunPos, relPoint(sun.worldPos));
   // set sunlight intensity for diffuse lighting
-  if (uSunIntensityLoc) gl.uniform1f(uSunIntensityLoc, sunEmissive);
+  if (uSunIntensityLoc) gl.uniform1f(uSunIntensityLoc, SUN_LIGHT_INTENSITY);
+  gl.uniform1f(uShadowSunRadiusLoc, sun.visualSize * SHADOW_SUN_FRACTION);
 
   // clear and draw
-  gl.viewport(0, 0, canvas.width, canvas.height);
+  gl.viewport(0, 0, width, height);
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-  // update simulation time (respecting pause)
-  const nowReal = performance.now();
-  if (!paused) {
-    simTime += (nowReal - lastRealTime) * 0.001; // seconds
-  }
-  lastRealTime = nowReal;
-  const t = simTime;
-  const timeScale = orbitSlowdown; // apply slowdown requested
-
   // Draw sky sphere (huge inverted sphere)
-  const mSky = mat4.create();
+  // centred on the eye so free flight never reaches the edge of the sky;
   // scale to be large relative to camera distance
+  const mSky = mat4.fromTranslation(mat4.create(), eye);
   const skyScale = Math.max(600, radiusCam * 1.6);
   mat4.scale(mSky, mSky, [skyScale, skyScale, skyScale]);
   drawSky(mSky, galaxyTex);
@@ -1122,199 +5910,135 @@ function render() {
   drawGrid(vp);
 
   // Sun (emissive)
-  const mSun = mat4.create();
-  mat4.scale(mSun, mSun, [sunRadius, sunRadius, sunRadius]);
-  drawMesh(mSun, sunColor, 10.0);
+  setShadowCasters([]);
+  setRingShadow(null);
+  gl.uniform1f(uIsSun, 1.0);
+  drawMesh(sun.model, sunColor, 10.0, sun.glTexture);
+  gl.uniform1f(uIsSun, 0.0);
 
   // prepare for hover detection: track nearest planet under cursor
-  hoveredPlanet = null;
-  const dpr = window.devicePixelRatio || 1;
-  const pointerCanvasX = pointerX * dpr;
-  const pointerCanvasY = pointerY * dpr;
+  if (interactive) hoveredPlanet = null;
+  const pointerCanvasX = pointerX * pixelScale;
+  const pointerCanvasY = pointerY * pixelScale;
   let bestDistSq = Infinity;
+  const pick = (body) => {
+    if (!interactive) return;
+    const distSq = hoverDistSq(body, vpWorld, pointerCanvasX, pointerCanvasY);
+    if (distSq < bestDistSq) {
+      bestDistSq = distSq;
+      hoveredPlanet = body;
+    }
+  };
 
   // check sun hover first so the sun is clickable like planets
-  const sunWorld = [0, 0, 0];
-  const sunScr = worldToCanvasPoint(sunWorld, vp);
-  if (sunScr) {
-    const sunOff = [sunRadius, 0, 0];
-    const sunScr2 = worldToCanvasPoint(sunOff, vp);
-    let sunRadiusPx = 12;
-    if (sunScr2) sunRadiusPx = Math.max(6, Math.hypot(sunScr2[0] - sunScr[0], sunScr2[1] - sunScr[1]));
-    const dxs = sunScr[0] - pointerCanvasX;
-    const dys = sunScr[1] - pointerCanvasY;
-    const distSs = dxs * dxs + dys * dys;
-    if (distSs < sunRadiusPx * sunRadiusPx) {
-      bestDistSq = distSs;
-      hoveredPlanet = { name: 'Sun', isSun: true, _screen: sunScr, worldPos: sunWorld };
-    }
-  }
-
-  // planets & moons
+  pick(sun);
+
+  // planets & moons (moons are hover/lock targets just like planets)
   for (const p of planets) {
-    // compute angle; visually tweaked speed formula for nicer motion
-    const orbitalSpeed = (10.0 * Math.PI) / (p.period || 365);
-    const angle =
-      (t * orbitalSpeed * timeScale * 5.0) /
-      Math.sqrt(Math.max(0.0001, p.distAU));
-    const px = Math.cos(angle) * p.distance;
-    const pz = Math.sin(angle) * p.distance;
-
-    const pm = mat4.create();
-    mat4.translate(pm, pm, [px, 0, pz]);
-    mat4.scale(pm, pm, [p.visualSize, p.visualSize, p.visualSize]);
-    drawMesh(pm, p.color, 0, p.texture);
-
-    // compute planet screen position and approximate radius in pixels
-    const worldPos = [px, 0, pz];
-    const scr = worldToCanvasPoint(worldPos, vp);
-    if (scr) {
-      // approximate radius: project a small offset and measure
-      const offset = [px + p.visualSize, 0, pz];
-      const scr2 = worldToCanvasPoint(offset, vp);
-      let radiusPx = 12; // fallback
-      if (scr2) {
-        const dx = scr2[0] - scr[0];
-        const dy = scr2[1] - scr[1];
-        radiusPx = Math.max(6, Math.hypot(dx, dy));
-      }
-      const dxp = scr[0] - pointerCanvasX;
-      const dyp = scr[1] - pointerCanvasY;
-      const distSq = dxp * dxp + dyp * dyp;
-      if (distSq < radiusPx * radiusPx && distSq < bestDistSq) {
-        bestDistSq = distSq;
-        hoveredPlanet = p;
-        hoveredPlanet._screen = scr;
+    // planets are shaded by their moons and their own rings
+    setShadowCasters(p.moons || []);
+    setRingShadow(p);
+    const pm = p.model;
+    drawMesh(pm, p.color, 0, p.glTexture);
+    setRingShadow(null);
+    pick(p);
+
+    if (p.moons) {
+      for (const m of p.moons) {
+        // moons are shaded by their parent (lunar eclipses) and sibling moons
+        setShadowCasters([p, ...p.moons.filter((o) => o !== m)]);
+        drawMesh(m.model, m.color, 0, m.glTexture);
+        pick(m);
       }
     }
 
-    // simple ring for Saturn (flat scaled sphere)
-    if (p.hasRing) {
-      const ringModel = mat4.clone(pm);
-      mat4.rotateX(ringModel, ringModel, Math.PI / 1.07); // flat
-      mat4.scale(ringModel, ringModel, [
-        p.visualSize * 0.5,
-        p.visualSize * 0.5,
-        p.visualSize * 0.5,
-      ]);
-      drawRing(ringModel, saturnRingTex);
+    // ring systems, shaded by the planet and its moons; drawn after the moons
+    // since they don't write depth and a moon behind them would cover them
+    if (p.rings) {
+      setShadowCasters(p.moons ? [p, ...p.moons] : [p]);
+      setRingShadow(null);
+      for (const rd of p.rings) drawRing(rd);
     }
+  }
 
-    if (p.moons) {
-      for (let i = 0; i < p.moons.length; i++) {
-        const m = p.moons[i];
-        const moonSpeed = (2.0 * Math.PI) / (m.period || 27);
-        const mangle = t * moonSpeed * timeScale * (1.0 + 0.12 * i);
-        const mx = px + Math.cos(mangle) * (m.visualDist + p.visualSize * 0.6);
-        const mz = pz + Math.sin(mangle) * (m.visualDist + p.visualSize * 0.6);
-        const mm = mat4.create();
-        mat4.translate(mm, mm, [mx, 0, mz]);
-        mat4.scale(mm, mm, [m.visualSize, m.visualSize, m.visualSize]);
-        drawMesh(mm, m.color, 0, m.texture);
-      }
-    }
+  // comet nuclei and the spacecraft; the tails go on top of everything else
+  // further down
+  setShadowCasters([]);
+  const bodiesInSpace = transfer ? [...comets, spacecraft] : comets;
+  for (const c of bodiesInSpace) {
+    drawMesh(c.model, c.color, c.isCraft ? 1.0 : 0, c.glTexture);
+    pick(c);
+  }
+
+  // the corona glows around the star and behind anything in front of it
+  drawCorona(vp);
+
+  // orbit paths after the bodies so they're hidden behind them
+  drawOrbits(vp);
+  drawTransfer(vp);
+
+  // asteroids move on the GPU from their static orbital elements
+  drawAsteroids(vp, days, pixelScale);
+  drawCometTails(vp, pixelScale);
+  if (!interactive) return vpWorld;
+
+  // a touch tap picks whatever was hovered under it, then lets go of the pointer
+  if (pendingTap) {
+    pendingTap = false;
+    toggleLock();
+    clearTouchPointer();
   }
 
-  // update asteroid positions into buffers and draw them
-  if (astLinked) {
-    for (let i = 0; i < ASTEROID_COUNT; i++) {
-    const a = asteroids[i];
-    const ang = a.phase + t * a.speed;
-    const x = Math.cos(ang) * a.radius;
-    const z = Math.sin(ang) * a.radius;
-    const y = Math.sin(ang * 3.14) * a.radius * a.incl; // small vertical oscillation by inclination
-    astPosArray[i * 3 + 0] = x;
-    astPosArray[i * 3 + 1] = y;
-    astPosArray[i * 3 + 2] = z;
-    astSizeArray[i] = a.sizePx;
-    astColorArray[i * 3 + 0] = a.color[0];
-    astColorArray[i * 3 + 1] = a.color[1];
-    astColorArray[i * 3 + 2] = a.color[2];
-    }
-
-    // upload buffers
-    gl.useProgram(astProgram);
-    gl.bindBuffer(gl.ARRAY_BUFFER, astPosBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, astPosArray, gl.DYNAMIC_DRAW);
-    gl.enableVertexAttribArray(aPosAst);
-    gl.vertexAttribPointer(aPosAst, 3, gl.FLOAT, false, 0, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, astSizeBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, astSizeArray, gl.DYNAMIC_DRAW);
-    gl.enableVertexAttribArray(aSizeAst);
-    gl.vertexAttribPointer(aSizeAst, 1, gl.FLOAT, false, 0, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, astColorBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, astColorArray, gl.DYNAMIC_DRAW);
-    gl.enableVertexAttribArray(aColorAst);
-    gl.vertexAttribPointer(aColorAst, 3, gl.FLOAT, false, 0, 0);
-
-    gl.uniformMatrix4fv(uVPAst, false, vp);
-    // scale point size with DPI and a small camera-distance compensation
-    const pointScale = 1.0 * dpr * Math.max(0.6, 120.0 / radiusCam);
-    gl.uniform1f(uPointScale, pointScale);
-
-    // blending for soft points
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    gl.drawArrays(gl.POINTS, 0, ASTEROID_COUNT);
-
-    // restore main program
-    gl.useProgram(program);
-  }
-
-  // Update cameraTarget: if locked to a planet, aim at its current world position; smooth the target
-  const desiredTarget = vec3.fromValues(0,0,0);
-  // draw outline for the hovered object (sun or planet) after hover detection
+  // draw outline for the hovered object (sun, planet or moon) after hover detection
   if (hoveredPlanet) {
-    if (hoveredPlanet.isSun) {
-      drawOutline(mat4.clone(mSun), 1.03);
-    } else {
-      // find planet object and compute its current model matrix
-      const p = planets.find((pl) => pl.name === hoveredPlanet.name) || hoveredPlanet;
-      const orbitalSpeed = (10.0 * Math.PI) / (p.period || 365);
-      const angle =
-        (t * orbitalSpeed * timeScale * 5.0) /
-        Math.sqrt(Math.max(0.0001, p.distAU));
-      const px = Math.cos(angle) * p.distance;
-      const pz = Math.sin(angle) * p.distance;
-      const pm = mat4.create();
-      mat4.translate(pm, pm, [px, 0, pz]);
-      mat4.scale(pm, pm, [p.visualSize, p.visualSize, p.visualSize]);
-      drawOutline(pm, 1.03);
-    }
-  }
-  if (lockedPlanet) {
-    // if the sun is locked, target origin
-    if (lockedPlanet.isSun) {
-      desiredTarget[0] = 0;
-      desiredTarget[1] = 0;
-      desiredTarget[2] = 0;
-    } else {
-      // lockedPlanet may be a planet object or a transient object with the planet's name
-      let p = lockedPlanet;
-      if (!p.distAU) p = planets.find((pl) => pl.name === lockedPlanet.name) || lockedPlanet;
-      const orbitalSpeed = (10.0 * Math.PI) / (p.period || 365);
-      const angle =
-        (t * orbitalSpeed * timeScale * 5.0) /
-        Math.sqrt(Math.max(0.0001, p.distAU));
-      const px = Math.cos(angle) * p.distance;
-      const pz = Math.sin(angle) * p.distance;
-      desiredTarget[0] = px;
-      desiredTarget[1] = 0;
-      desiredTarget[2] = pz;
-    }
-  }
-  // smooth blend
-  vec3.lerp(cameraTarget, cameraTarget, desiredTarget, 0.12);
+    drawOutline(hoveredPlanet.model, 1.03);
+  }
+  return vpWorld;
+}
+
+// draw a view on the canvas, through the HDR passes unless tone mapping is off
+function drawToCanvas(view, interactive) {
+  updateProjection();
+  const pixelScale = window.devicePixelRatio || 1;
+  const hdr = screenHdrTarget();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, hdr ? hdr.fb : null);
+  const vpWorld = drawScene(view, { width: canvas.width, height: canvas.height, pixelScale, interactive });
+  if (hdr) postProcess(hdr, null, pixelScale);
+  return vpWorld;
+}
+
+function render() {
+  resizeCanvasToDisplaySize();
+  // a frame sequence export drives the frames itself
+  if (exportJob) {
+    requestAnimationFrame(render);
+    return;
+  }
+
+  // update simulation time (respecting pause); accumulate time so changing
+  // the rate never makes bodies jump
+  const nowReal = performance.now();
+  const dDays = paused ? 0 : (nowReal - lastRealTime) * 0.001 * timeRate;
+  lastRealTime = nowReal;
+  const dt = (nowReal - lastFrameReal) / 1000;
+  lastFrameReal = nowReal;
+  const frameView = stepFrame(nowReal, dt, dDays);
+
+  const vpWorld = drawToCanvas(frameView, true);
+  lastView = frameView;
+  drawLabels(vpWorld, frameView.eye, dt);
+
+  updateInfoPanel();
 
   // show/hide tooltip based on hover
   if (hoveredPlanet) {
-    showTooltip(hoveredPlanet.name, hoveredPlanet._screen[0], hoveredPlanet._screen[1]);
+    const label = hoveredPlanet.parent ? `${hoveredPlanet.name} (${hoveredPlanet.parent.name})` : hoveredPlanet.name;
+    showTooltip(label, hoveredPlanet._screen[0], hoveredPlanet._screen[1]);
   } else {
     hideTooltip();
   }
 
+  updatePermalink(nowReal);
   requestAnimationFrame(render);
 }
 
@@ -1328,4 +6052,19 @@ gl.enableVertexAttribArray(aNormal);
 gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
 
 // start
-requestAnimationFrame(render);
+// load the scene named by ?scene=..., falling back to the bundled Solar System,
+// and start rendering once there is something to draw; ?tour=... then plays a tour
+const startParams = new URLSearchParams(window.location.search);
+const requestedScene = startParams.get('scene');
+const requestedTour = startParams.get('tour');
+trackAsset(
+  fetchScene(requestedScene || DEFAULT_SCENE_URL)
+    .then((ok) => (ok || !requestedScene ? ok : fetchScene(DEFAULT_SCENE_URL)))
+    .then((ok) => {
+      if (!ok) throw new Error('No scene could be loaded');
+      if (window.location.hash) applyViewState(window.location.hash);
+      requestAnimationFrame(render);
+      if (requestedTour) fetchTour(requestedTour);
+    }),
+  requestedScene || DEFAULT_SCENE_URL
+);